@@ -5,9 +5,15 @@ Reads from ~/Downloads, outputs JSON for the frontend.
 """
 
 import pandas as pd
+import hashlib
 import json
+from datetime import date
 from pathlib import Path
 
+# Version of the whaling_data.json layout. Bump on breaking changes and update
+# DATA_SCHEMA_VERSION in src/validate.ts to match.
+SCHEMA_VERSION = 2
+
 # Paths
 # Look for Excel file in data/ directory (project root)
 DATA_DIR = Path(__file__).parent
@@ -30,22 +36,220 @@ SPECIES = {
     'Unsp': 'Unspecified',
 }
 
-# Country name -> ISO 3166-1 alpha-3 code (for map)
-COUNTRY_CODES = {
-    'Japan': 'JPN',
-    'USSR': 'RUS',  # Map to Russia for visualization
-    'Russia': 'RUS',
-    'Indonesia': 'IDN',
-    'Denmark': 'DNK',  # Includes Greenland/Faroe Islands
-    'Iceland': 'ISL',
-    'Norway': 'NOR',
-    'Saint Vincent & the Grenadines': 'VCT',
-    'Korea': 'KOR',
-    'United States': 'USA',
-    'Portugal': 'PRT',
-    'Canada': 'CAN',
+# Scientific names (the frontend shows these where a language has no common name)
+SPECIES_SCIENTIFIC = {
+    'TBlue': 'Balaenoptera musculus',
+    'PBlue': 'Balaenoptera musculus brevicauda',
+    'Fin': 'Balaenoptera physalus',
+    'Spm': 'Physeter macrocephalus',
+    'Hbk': 'Megaptera novaeangliae',
+    'Sei': 'Balaenoptera borealis',
+    'Bryd': 'Balaenoptera edeni',
+    'Mi:C': 'Balaenoptera acutorostrata',
+    'Mi:A': 'Balaenoptera bonaerensis',
+    'Gray': 'Eschrichtius robustus',
+    'Bhd': 'Balaena mysticetus',
+    'Ri': 'Eubalaena spp.',
+}
+
+# Conservation status and rough population estimates per species code
+# (shown in the frontend's filters, tooltips and timeline; see the file's _comment)
+SPECIES_STATUS = json.loads((DATA_DIR / "species_status.json").read_text())['species']
+
+IUCN_CATEGORIES = ('CR', 'EN', 'VU', 'NT', 'LC', 'DD')
+
+# Historical events (moratorium, species protection, IWC withdrawals) marked on the frontend's timeline
+ANNOTATIONS = json.loads((DATA_DIR / "annotations.json").read_text())['annotations']
+
+# Nation codes and how their catches are drawn on the map (territories, historical
+# states). Shared with the frontend, which gets the rules via metadata.attribution.
+TERRITORIES = json.loads((DATA_DIR / "territories.json").read_text())
+
+# Country name -> code (ISO 3166-1 alpha-3, or e.g. SUN for the USSR)
+COUNTRY_CODES = TERRITORIES['nations']
+
+ATTRIBUTION_MODES = ('group', 'inherit', 'split')
+
+# Whaling (catch) type code -> display name
+CATCH_TYPES = {
+    'commercial': 'Commercial',
+    'aboriginal': 'Aboriginal Subsistence',
+    'special_permit': 'Special Permit',
+    'unknown': 'Unknown Type',
+}
+
+# Raw values seen in the IWC catch-type column (lowercased) -> type code
+CATCH_TYPE_ALIASES = {
+    'commercial': ['commercial', 'comm', 'c', 'com'],
+    'aboriginal': ['aboriginal', 'aboriginal subsistence', 'abor', 'asw', 'a', 'ab'],
+    'special_permit': ['special permit', 'special_permit', 'scientific', 'scientific permit', 'spp', 'sp', 'p'],
+}
+
+# Candidate names for the catch-type column (varies between IWC releases)
+CATCH_TYPE_COLUMNS = ['Type', 'Catch type', 'CatchType']
+
+# IWC catch area (lowercased) -> (area code, display name, [lon, lat] marker position)
+# Positions are rough ocean-basin centroids used to place the map's area layer.
+CATCH_AREAS = {
+    'antarctic': ('ANT', 'Antarctic (Southern Ocean)', [20, -62]),
+    'southern ocean': ('ANT', 'Antarctic (Southern Ocean)', [20, -62]),
+    'n atlantic': ('NATL', 'North Atlantic', [-30, 55]),
+    'north atlantic': ('NATL', 'North Atlantic', [-30, 55]),
+    's atlantic': ('SATL', 'South Atlantic', [-15, -30]),
+    'south atlantic': ('SATL', 'South Atlantic', [-15, -30]),
+    'n pacific': ('NPAC', 'North Pacific', [-170, 45]),
+    'north pacific': ('NPAC', 'North Pacific', [-170, 45]),
+    's pacific': ('SPAC', 'South Pacific', [-120, -30]),
+    'south pacific': ('SPAC', 'South Pacific', [-120, -30]),
+    'indian': ('IND', 'Indian Ocean', [75, -20]),
+    'indian ocean': ('IND', 'Indian Ocean', [75, -20]),
+    'n indian': ('IND', 'Indian Ocean', [75, -20]),
+    'arctic': ('ARC', 'Arctic', [0, 80]),
 }
 
+# Candidate names for the catch-area column
+CATCH_AREA_COLUMNS = ['Area', 'Ground']
+
+def check_attribution(rules):
+    """Fail early on attribution rules the frontend can't use."""
+    codes = set(COUNTRY_CODES.values())
+    for rule in rules:
+        name = rule.get('name', rule.get('source'))
+        if rule.get('mode') not in ATTRIBUTION_MODES:
+            raise ValueError(f"territories.json: '{name}' has mode {rule.get('mode')!r}, expected one of {ATTRIBUTION_MODES}")
+        if rule.get('source') not in codes:
+            print(f"⚠️  territories.json: '{name}' source {rule.get('source')} is not a code in 'nations'")
+        if rule['mode'] == 'split':
+            shares = rule.get('shares', {})
+            if set(shares) != set(rule['members']) or abs(sum(shares.values()) - 1) > 1e-6:
+                raise ValueError(f"territories.json: '{name}' shares must cover every member and add up to 1")
+
+
+def check_species_status(statuses):
+    """Fail early on species_status.json entries the frontend can't use."""
+    for code, entry in statuses.items():
+        if code not in SPECIES:
+            raise ValueError(f"species_status.json: '{code}' is not a species code")
+        if entry.get('status') is not None and entry['status'] not in IUCN_CATEGORIES:
+            raise ValueError(f"species_status.json: '{code}' has status {entry['status']!r}, expected one of {IUCN_CATEGORIES} or null")
+        years = [point['year'] for point in entry.get('population', [])]
+        if years != sorted(years):
+            raise ValueError(f"species_status.json: '{code}' population estimates must be in year order")
+    missing = set(SPECIES) - set(statuses) - {'Unsp'}
+    if missing:
+        print(f"⚠️  species_status.json: no entry for {', '.join(sorted(missing))}")
+
+
+def check_annotations(annotations):
+    """Fail early on annotations.json entries the frontend can't use."""
+    codes = set(COUNTRY_CODES.values())
+    ids = set()
+    for annotation in annotations:
+        title = annotation.get('title')
+        if not annotation.get('id') or not title or not annotation.get('description') or not isinstance(annotation.get('year'), int):
+            raise ValueError(f"annotations.json: {annotation!r} needs an id, year, title and description")
+        if annotation['id'] in ids:
+            raise ValueError(f"annotations.json: id '{annotation['id']}' is used twice")
+        ids.add(annotation['id'])
+        if annotation.get('until', annotation['year']) < annotation['year']:
+            raise ValueError(f"annotations.json: '{title}' ends before it starts")
+        unknown_species = set(annotation.get('species', [])) - set(SPECIES)
+        if unknown_species:
+            raise ValueError(f"annotations.json: '{title}' has unknown species {sorted(unknown_species)}")
+        unknown_countries = set(annotation.get('countries', [])) - codes
+        if unknown_countries:
+            print(f"⚠️  annotations.json: '{title}' countries {sorted(unknown_countries)} are not codes in territories.json 'nations'")
+
+
+def content_hash(content):
+    """Short content hash of a generated file (as in whaling_data.version.json)."""
+    return hashlib.sha256(content).hexdigest()[:16]
+
+
+def load_previous_output(path):
+    """The previously generated data file and its hash, or (None, None) if there is none."""
+    try:
+        content = path.read_bytes()
+        return json.loads(content), content_hash(content)
+    except (FileNotFoundError, json.JSONDecodeError):
+        return None, None
+
+
+def diff_datasets(previous, current):
+    """Country-year records added, removed or revised since the previous data file, with species and whaling type deltas."""
+    def records(data):
+        return {(entry['country'], entry['year']): entry for entry in (data or {}).get('byCountryYear', [])}
+
+    def deltas(old, new):
+        return {code: new.get(code, 0) - old.get(code, 0) for code in sorted(set(old) | set(new))}
+
+    def type_totals(entry):
+        return {code: part['total'] for code, part in (entry or {}).get('types', {}).items()}
+
+    before, after = records(previous), records(current)
+    changes = []
+    for key in sorted(set(before) | set(after)):
+        old, new = before.get(key), after.get(key)
+        if (old and new and old['total'] == new['total'] and old['species'] == new['species']
+                and old.get('types', {}) == new.get('types', {})):
+            continue
+        species = deltas(old['species'] if old else {}, new['species'] if new else {})
+        types = deltas(type_totals(old), type_totals(new))
+        changes.append({
+            'country': key[0],
+            'code': (new or old)['code'],
+            'year': key[1],
+            'change': 'revised' if old and new else 'added' if new else 'removed',
+            'before': old['total'] if old else None,
+            'after': new['total'] if new else None,
+            'species': {code: delta for code, delta in species.items() if delta},
+            'types': {code: delta for code, delta in types.items() if delta},
+        })
+    return changes
+
+
+def catches_changed(previous, current):
+    """Whether the catch figures differ from the previous data file (metadata such as annotations doesn't count)."""
+    if not previous:
+        return True
+    return (any(previous.get(key) != current.get(key) for key in ('byCountryYear', 'byAreaYear'))
+            or previous['metadata'].get('years') != current['metadata']['years'])
+
+
+def build_changelog(previous, previous_hash, current):
+    """What changed since the previous data file: a summary per country, plus every changed record."""
+    changes = diff_datasets(previous, current)
+    countries = {}
+    for change in changes:
+        country = countries.setdefault(change['country'], {
+            'country': change['country'], 'code': change['code'], 'records': 0, 'delta': 0, 'species': {}, 'types': {},
+        })
+        country['records'] += 1
+        country['delta'] += (change['after'] or 0) - (change['before'] or 0)
+        for key in ('species', 'types'):
+            for code, delta in change[key].items():
+                country[key][code] = country[key].get(code, 0) + delta
+    for country in countries.values():
+        for key in ('species', 'types'):
+            country[key] = {code: delta for code, delta in country[key].items() if delta}
+
+    years_before = set(previous['metadata']['years']) if previous else set()
+    years_after = set(current['metadata']['years'])
+    count = lambda kind: sum(1 for change in changes if change['change'] == kind)
+    summary = {
+        'date': date.today().isoformat(),
+        'previousHash': previous_hash,
+        'recordsAdded': count('added') if previous else 0,
+        'recordsRemoved': count('removed'),
+        'recordsRevised': count('revised'),
+        'yearsAdded': sorted(years_after - years_before) if previous else [],
+        'yearsRemoved': sorted(years_before - years_after),
+        # Biggest net changes first
+        'countries': sorted(countries.values(), key=lambda c: (-abs(c['delta']), -c['records'], c['country'])) if previous else [],
+    }
+    return summary, {**summary, 'records': changes if previous else []}
+
+
 def find_dataset():
     """Find the IWC catches dataset in the data/ directory."""
     xlsx_files = list(DATA_DIR.glob("*catches*.xlsx")) + list(DATA_DIR.glob("*Catches*.xlsx"))
@@ -59,7 +263,35 @@ def find_dataset():
         print(f"⚠️  Multiple Excel files found, using: {xlsx_files[0].name}")
     return xlsx_files[0]
 
+def normalize_catch_type(value):
+    """Map a raw IWC catch-type value to one of the CATCH_TYPES codes."""
+    if pd.isna(value):
+        return 'unknown'
+    key = str(value).strip().lower()
+    for code, aliases in CATCH_TYPE_ALIASES.items():
+        if key in aliases:
+            return code
+    return 'unknown'
+
+def normalize_catch_area(value):
+    """Map a raw IWC area value to one of the CATCH_AREAS codes (None if unknown)."""
+    if pd.isna(value):
+        return None
+    area = CATCH_AREAS.get(str(value).strip().lower())
+    return area[0] if area else None
+
+def find_column(df, candidates):
+    """Find the first of the candidate columns present in the dataset, if any."""
+    for col in candidates:
+        if col in df.columns:
+            return col
+    return None
+
 def main():
+    check_attribution(TERRITORIES['attribution'])
+    check_species_status(SPECIES_STATUS)
+    check_annotations(ANNOTATIONS)
+    
     # Find and load dataset
     dataset_path = find_dataset()
     print(f"📂 Loading: {dataset_path.name}")
@@ -70,8 +302,38 @@ def main():
     # Species columns that exist in this dataset
     species_cols = [col for col in SPECIES.keys() if col in df.columns]
     
-    # Add ISO country codes
-    df['CountryCode'] = df['Nation'].map(COUNTRY_CODES)
+    # Add ISO country codes. Nations without one keep an empty code so their
+    # catches still add up to the global totals (they just can't be drawn on the map)
+    df['CountryCode'] = df['Nation'].map(COUNTRY_CODES).fillna('')
+    unmapped_nations = sorted(set(df.loc[df['CountryCode'] == '', 'Nation'].dropna().astype(str)))
+    if unmapped_nations:
+        print(f"⚠️  No ISO code for nations: {', '.join(unmapped_nations)} (add them to 'nations' in data/territories.json)")
+    
+    # Normalize whaling type (commercial / aboriginal / special permit)
+    type_col = find_column(df, CATCH_TYPE_COLUMNS)
+    if type_col:
+        df['CatchType'] = df[type_col].map(normalize_catch_type)
+        print(f"🏷️  Catch types from '{type_col}': {df['CatchType'].value_counts().to_dict()}")
+    else:
+        df['CatchType'] = 'unknown'
+        print(f"⚠️  No catch-type column found (tried {', '.join(CATCH_TYPE_COLUMNS)})")
+    catch_types = [code for code in CATCH_TYPES if code in set(df['CatchType'])]
+    
+    # Normalize catch area (where the whales were caught, not who caught them)
+    area_col = find_column(df, CATCH_AREA_COLUMNS)
+    if area_col:
+        df['CatchArea'] = df[area_col].map(normalize_catch_area)
+        unknown_areas = sorted(set(df.loc[df['CatchArea'].isna(), area_col].dropna().astype(str)))
+        if unknown_areas:
+            print(f"⚠️  No map position for areas: {', '.join(unknown_areas)} (add them to CATCH_AREAS)")
+    else:
+        df['CatchArea'] = None
+        print(f"⚠️  No catch-area column found (tried {', '.join(CATCH_AREA_COLUMNS)})")
+    area_codes = set(df['CatchArea'].dropna())
+    catch_areas = {}
+    for code, name, position in CATCH_AREAS.values():
+        if code in area_codes:
+            catch_areas[code] = {'name': name, 'lon': position[0], 'lat': position[1]}
     
     # Aggregate by Year and Nation
     yearly_by_country = df.groupby(['Year', 'Nation', 'CountryCode']).agg({
@@ -79,36 +341,83 @@ def main():
         'Total': 'sum'
     }).reset_index()
     
+    # Country-year totals split by whaling type
+    yearly_by_country_type = df.groupby(['Year', 'Nation', 'CountryCode', 'CatchType']).agg({
+        **{col: 'sum' for col in species_cols},
+        'Total': 'sum'
+    }).reset_index()
+    
+    # Area-year totals, overall and split by whaling type
+    yearly_by_area = df.groupby(['Year', 'CatchArea']).agg({
+        **{col: 'sum' for col in species_cols},
+        'Total': 'sum'
+    }).reset_index()
+    yearly_by_area_type = df.groupby(['Year', 'CatchArea', 'CatchType']).agg({
+        **{col: 'sum' for col in species_cols},
+        'Total': 'sum'
+    }).reset_index()
+    
     # Global yearly totals
     yearly_global = df.groupby('Year').agg({
         **{col: 'sum' for col in species_cols},
         'Total': 'sum'
     }).reset_index()
     
+    years = sorted(df['Year'].unique())
+    
+    def timeline_rows(rows):
+        """Species yearly totals for every year (zero-filled)."""
+        timeline = []
+        for year in years:
+            year_data = rows[rows['Year'] == year]
+            row = {'year': int(year)}
+            for col, name in SPECIES.items():
+                if col in year_data.columns:
+                    row[col] = int(year_data[col].sum())
+            row['total'] = int(year_data['Total'].sum())
+            timeline.append(row)
+        return timeline
+    
     # Species yearly totals (for filter functionality)
-    species_yearly = []
-    for year in sorted(df['Year'].unique()):
-        year_data = df[df['Year'] == year]
-        row = {'year': int(year)}
-        for col, name in SPECIES.items():
-            if col in year_data.columns:
-                row[col] = int(year_data[col].sum())
-        row['total'] = int(year_data['Total'].sum())
-        species_yearly.append(row)
+    species_yearly = timeline_rows(df)
+    
+    # Same, per whaling type (for the type filter)
+    species_yearly_by_type = {
+        code: timeline_rows(df[df['CatchType'] == code]) for code in catch_types
+    }
     
     # Build output structure
     output = {
         'metadata': {
+            'schemaVersion': SCHEMA_VERSION,
             'source': 'IWC Total Catches Database',
             'url': 'https://iwc.int/management-and-conservation/whaling/total-catches',
             'years': [int(y) for y in sorted(df['Year'].unique())],
             'countries': list(COUNTRY_CODES.keys()),
             'species': SPECIES,
+            'speciesScientific': SPECIES_SCIENTIFIC,
+            'speciesStatus': SPECIES_STATUS,
+            'annotations': ANNOTATIONS,
+            'types': {code: CATCH_TYPES[code] for code in catch_types},
+            'areas': catch_areas,
+            'attribution': TERRITORIES['attribution'],
         },
         'timeline': species_yearly,
+        'timelineByType': species_yearly_by_type,
         'byCountryYear': [],
+        'byAreaYear': [],
     }
     
+    # Per-type breakdown lookup: (year, nation) -> {type: {total, species}}
+    types_by_country_year = {}
+    for _, row in yearly_by_country_type.iterrows():
+        breakdown = {
+            'total': int(row['Total']),
+            'species': {col: int(row[col]) for col in species_cols if row[col] > 0},
+        }
+        key = (int(row['Year']), row['Nation'])
+        types_by_country_year.setdefault(key, {})[row['CatchType']] = breakdown
+    
     # Country-year data for map
     for _, row in yearly_by_country.iterrows():
         entry = {
@@ -116,25 +425,72 @@ def main():
             'country': row['Nation'],
             'code': row['CountryCode'],
             'total': int(row['Total']),
-            'species': {}
+            'species': {},
+            'types': types_by_country_year.get((int(row['Year']), row['Nation']), {}),
         }
         for col in species_cols:
             if row[col] > 0:
                 entry['species'][col] = int(row[col])
         output['byCountryYear'].append(entry)
     
+    # Area-year data for the map's area layer
+    types_by_area_year = {}
+    for _, row in yearly_by_area_type.iterrows():
+        breakdown = {
+            'total': int(row['Total']),
+            'species': {col: int(row[col]) for col in species_cols if row[col] > 0},
+        }
+        key = (int(row['Year']), row['CatchArea'])
+        types_by_area_year.setdefault(key, {})[row['CatchType']] = breakdown
+    
+    for _, row in yearly_by_area.iterrows():
+        output['byAreaYear'].append({
+            'year': int(row['Year']),
+            'area': row['CatchArea'],
+            'total': int(row['Total']),
+            'species': {col: int(row[col]) for col in species_cols if row[col] > 0},
+            'types': types_by_area_year.get((int(row['Year']), row['CatchArea']), {}),
+        })
+    
     # Create output directory
     OUTPUT_DIR.mkdir(parents=True, exist_ok=True)
+    output_path = OUTPUT_DIR / 'whaling_data.json'
+    changelog_path = OUTPUT_DIR / 'whaling_data.changelog.json'
+    
+    # Changelog against the previous run (e.g. IWC revising historical figures between releases).
+    # Unchanged catches keep the previous changelog, so rerunning the pipeline (or editing only
+    # metadata like annotations) doesn't reset it.
+    output = json.loads(json.dumps(output))  # Plain JSON types, comparable with the previous file
+    previous, previous_hash = load_previous_output(output_path)
+    previous_changelog = (previous or {}).get('metadata', {}).get('changelog')
+    if previous_changelog and not catches_changed(previous, output):
+        output['metadata']['changelog'] = previous_changelog
+        print("\n📋 Catches unchanged since the previous run, keeping its changelog")
+    else:
+        summary, changelog = build_changelog(previous, previous_hash, output)
+        output['metadata']['changelog'] = summary
+        changelog_path.write_text(json.dumps(changelog, indent=2) + '\n')
+        if previous:
+            print(f"\n📋 Changes since the previous run: {summary['recordsRevised']} records revised, "
+                  f"{summary['recordsAdded']} added, {summary['recordsRemoved']} removed "
+                  f"({len(summary['countries'])} countries) -> {changelog_path}")
     
     # Write JSON
-    output_path = OUTPUT_DIR / 'whaling_data.json'
     with open(output_path, 'w') as f:
         json.dump(output, f, indent=2)
     
-    print(f"✅ Written to: {output_path}")
+    # Content hash next to it: the service worker (public/sw.js) compares it with the
+    # cached copy to notice a newly published dataset
+    data_hash = content_hash(output_path.read_bytes())
+    version_path = OUTPUT_DIR / 'whaling_data.version.json'
+    version_path.write_text(json.dumps({'hash': data_hash}) + '\n')
+    
+    print(f"✅ Written to: {output_path} (hash {data_hash})")
     print(f"   Years: {output['metadata']['years'][0]} - {output['metadata']['years'][-1]}")
     print(f"   Countries: {len(output['metadata']['countries'])}")
     print(f"   Records: {len(output['byCountryYear'])}")
+    print(f"   Catch types: {', '.join(catch_types)}")
+    print(f"   Catch areas: {', '.join(catch_areas) or 'none'}")
     
     # Summary stats
     print(f"\n📈 Top whaling nations (all time):")
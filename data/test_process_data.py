@@ -0,0 +1,104 @@
+#!/usr/bin/env python3
+"""
+Tests for the dataset changelog in process_data.py.
+Run with: python -m unittest discover data
+"""
+
+import unittest
+
+from process_data import build_changelog, catches_changed, diff_datasets
+
+
+def record(country, code, year, types):
+    """A byCountryYear entry from per-type species counts."""
+    species = {}
+    for counts in types.values():
+        for name, count in counts.items():
+            species[name] = species.get(name, 0) + count
+    return {
+        'year': year, 'country': country, 'code': code, 'total': sum(species.values()), 'species': species,
+        'types': {name: {'total': sum(counts.values()), 'species': counts} for name, counts in types.items()},
+    }
+
+
+def dataset(years, records):
+    return {'metadata': {'years': years}, 'byCountryYear': records}
+
+
+BEFORE = dataset([2018, 2019], [
+    record('Norway', 'NOR', 2018, {'commercial': {'Mi:C': 400}}),
+    record('Norway', 'NOR', 2019, {'commercial': {'Mi:C': 420}}),
+    record('Japan', 'JPN', 2018, {'special_permit': {'Mi:C': 300}}),
+    record('Japan', 'JPN', 2019, {'special_permit': {'Mi:C': 100}, 'commercial': {'Mi:C': 200}}),
+    record('Iceland', 'ISL', 2018, {'commercial': {'Fin': 140, 'Mi:C': 6}}),
+])
+
+AFTER = dataset([2018, 2019, 2020], [
+    record('Norway', 'NOR', 2018, {'commercial': {'Mi:C': 400}}),
+    record('Norway', 'NOR', 2019, {'commercial': {'Mi:C': 429}}),  # Revised count
+    record('Norway', 'NOR', 2020, {'commercial': {'Mi:C': 503}}),  # New year
+    record('Japan', 'JPN', 2018, {'special_permit': {'Mi:C': 300}}),
+    record('Japan', 'JPN', 2019, {'special_permit': {'Mi:C': 50}, 'commercial': {'Mi:C': 250}}),  # Reclassified only
+    # Iceland 2018 removed
+])
+
+
+class DiffDatasetsTest(unittest.TestCase):
+    def test_unchanged_data_has_no_changes(self):
+        self.assertEqual(diff_datasets(BEFORE, BEFORE), [])
+
+    def test_changed_records(self):
+        changes = {(change['country'], change['year']): change for change in diff_datasets(BEFORE, AFTER)}
+        self.assertEqual(sorted(changes), [('Iceland', 2018), ('Japan', 2019), ('Norway', 2019), ('Norway', 2020)])
+
+        self.assertEqual(changes[('Norway', 2019)], {
+            'country': 'Norway', 'code': 'NOR', 'year': 2019, 'change': 'revised', 'before': 420, 'after': 429,
+            'species': {'Mi:C': 9}, 'types': {'commercial': 9},
+        })
+        self.assertEqual(changes[('Norway', 2020)]['change'], 'added')
+        self.assertEqual(changes[('Iceland', 2018)]['change'], 'removed')
+        self.assertEqual(changes[('Iceland', 2018)]['species'], {'Fin': -140, 'Mi:C': -6})
+
+    def test_whaling_type_change_alone_is_reported(self):
+        change = next(change for change in diff_datasets(BEFORE, AFTER) if change['country'] == 'Japan')
+        self.assertEqual(change['change'], 'revised')
+        self.assertEqual((change['before'], change['after']), (300, 300))
+        self.assertEqual(change['species'], {})
+        self.assertEqual(change['types'], {'commercial': 50, 'special_permit': -50})
+
+
+class CatchesChangedTest(unittest.TestCase):
+    def test_metadata_changes_do_not_count(self):
+        edited = {**BEFORE, 'metadata': {**BEFORE['metadata'], 'annotations': [{'id': 'moratorium'}], 'types': {}}}
+        self.assertFalse(catches_changed(BEFORE, edited))
+
+    def test_catch_changes(self):
+        self.assertTrue(catches_changed(BEFORE, AFTER))
+        self.assertTrue(catches_changed(BEFORE, {**BEFORE, 'byAreaYear': [{'year': 2018, 'area': 'NA', 'total': 1}]}))
+        self.assertTrue(catches_changed(None, BEFORE))
+
+
+class BuildChangelogTest(unittest.TestCase):
+    def test_summary(self):
+        summary, full = build_changelog(BEFORE, 'abc123', AFTER)
+        self.assertEqual(summary['previousHash'], 'abc123')
+        self.assertEqual((summary['recordsAdded'], summary['recordsRemoved'], summary['recordsRevised']), (1, 1, 2))
+        self.assertEqual((summary['yearsAdded'], summary['yearsRemoved']), ([2020], []))
+        # Biggest net change first
+        self.assertEqual([country['country'] for country in summary['countries']], ['Norway', 'Iceland', 'Japan'])
+        self.assertEqual(summary['countries'][0], {
+            'country': 'Norway', 'code': 'NOR', 'records': 2, 'delta': 512,
+            'species': {'Mi:C': 512}, 'types': {'commercial': 512},
+        })
+        self.assertEqual(summary['countries'][2]['types'], {'commercial': 50, 'special_permit': -50})
+        self.assertEqual(len(full['records']), 4)
+        self.assertNotIn('records', summary)
+
+    def test_first_run(self):
+        summary, full = build_changelog(None, None, AFTER)
+        self.assertEqual((summary['previousHash'], summary['recordsAdded'], summary['yearsAdded']), (None, 0, []))
+        self.assertEqual((summary['countries'], full['records']), ([], []))
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,122 @@
+// Service worker: offline app shell, data and world map.
+// - The hashed build output (JS, CSS, world map) is precached at install; the list is injected
+//   by the precache plugin in vite.config.ts, which also sets the build id (new build = new cache).
+// - Pages (and the data changelog) are network-first, falling back to the cache when offline.
+//   Standalone and ?embed=1 pages are cached separately, each with its own framing headers.
+// - The data file is served from the cache. In the background its content hash
+//   (whaling_data.version.json, written by data/process_data.py) is compared with the published
+//   one; a newer file is downloaded and open pages are told so they can offer a refresh.
+const BUILD_ID = '__BUILD_ID__';
+const PRECACHE = self.__PRECACHE_MANIFEST || [];
+// Public files (not part of the build output); keep in sync with SW_SHELL in vite.config.ts
+const SHELL = ['/index.html', '/manifest.webmanifest', '/favicon.svg', '/icons/icon-maskable.svg'];
+const CACHE = `stillwhaling-${BUILD_ID}`;
+const DATA_URL = '/data/whaling_data.json';
+const VERSION_URL = '/data/whaling_data.version.json';
+const CHANGELOG_URL = '/data/whaling_data.changelog.json'; // Linked from the About dialog
+// Don't ask the server for a new data hash more often than this
+const DATA_CHECK_INTERVAL = 5 * 60 * 1000; // ms
+
+let lastDataCheck = 0;
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll([...SHELL, ...PRECACHE]);
+    // Data may be published separately from the app (or missing in a dev build) - not fatal
+    await cache.addAll([DATA_URL, VERSION_URL]).catch(error => console.warn('Data not precached:', error));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    // Keep the data already downloaded when the app itself is updated
+    const current = await caches.open(CACHE);
+    for (const key of await caches.keys()) {
+      if (key === CACHE || !key.startsWith('stillwhaling-')) continue;
+      const old = await caches.open(key);
+      for (const url of [DATA_URL, VERSION_URL]) {
+        const response = await old.match(url);
+        if (response && !(await current.match(url))) await current.put(url, response);
+      }
+      await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return; // e.g. web fonts
+
+  if (request.mode === 'navigate') {
+    // Embed pages get other framing headers from the server: cache them apart from the standalone page
+    const pageKey = url.searchParams.get('embed') === '1' ? '/index.html?embed=1' : '/index.html';
+    event.respondWith(networkFirst(request, pageKey));
+  } else if (url.pathname === DATA_URL) {
+    event.respondWith(cacheFirst(request, DATA_URL));
+    event.waitUntil(checkDataUpdate());
+  } else if (url.pathname === CHANGELOG_URL) {
+    event.respondWith(networkFirst(request, CHANGELOG_URL));
+  } else if (url.pathname !== VERSION_URL) { // The version file always comes from the network
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// Page requests from the app (see src/pwa.ts)
+self.addEventListener('message', event => {
+  if (event.data?.type === 'stillwhaling:checkData') {
+    event.waitUntil(checkDataUpdate());
+  }
+});
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(fallbackUrl, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Cached response (by `key`, ignoring the query string), else the network (cached for next time)
+async function cacheFirst(request, key = request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(key, { ignoreSearch: true });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(key, response.clone());
+  return response;
+}
+
+// Download the data file if its published hash differs from the cached one, then tell open pages
+async function checkDataUpdate() {
+  if (Date.now() - lastDataCheck < DATA_CHECK_INTERVAL) return;
+  lastDataCheck = Date.now();
+  const cache = await caches.open(CACHE);
+  try {
+    const versionResponse = await fetch(VERSION_URL, { cache: 'no-store' });
+    if (!versionResponse.ok) return; // No version file: the cached data is kept
+    const published = await versionResponse.clone().json();
+    const cachedVersion = await cache.match(VERSION_URL);
+    const current = cachedVersion ? await cachedVersion.json() : null;
+    if (current?.hash === published.hash && (await cache.match(DATA_URL))) return;
+
+    const dataResponse = await fetch(DATA_URL, { cache: 'no-store' });
+    if (!dataResponse.ok) return;
+    await cache.put(DATA_URL, dataResponse);
+    await cache.put(VERSION_URL, versionResponse);
+    if (!current) return; // First download, nothing shown was out of date
+    const pages = await self.clients.matchAll({ type: 'window' });
+    pages.forEach(page => page.postMessage({ type: 'stillwhaling:dataUpdated', hash: published.hash }));
+  } catch (error) {
+    // Offline - try again on the next data request
+    lastDataCheck = 0;
+  }
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Generate src/countryCodes.ts - the full ISO 3166-1 numeric -> alpha-3 table.
+ * world-atlas features are keyed by zero-padded numeric codes ("392"), while
+ * process_data.py emits alpha-3 codes ("JPN"), so the map needs this lookup.
+ *
+ * Run after bumping i18n-iso-countries or world-atlas: npm run generate:countries
+ */
+
+import countries from 'i18n-iso-countries';
+import { createRequire } from 'module';
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+const require = createRequire(import.meta.url);
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = path.join(ROOT, 'src', 'countryCodes.ts');
+
+countries.registerLocale(require('i18n-iso-countries/langs/en.json'));
+
+const rows = Object.entries(countries.getNumericCodes())
+  .map(([numeric, alpha2]) => ({
+    numeric,
+    alpha3: countries.alpha2ToAlpha3(alpha2),
+    name: countries.getName(alpha2, 'en') || alpha2,
+  }))
+  .sort((a, b) => a.numeric.localeCompare(b.numeric));
+
+// Report map features we still can't resolve (disputed areas without an ISO id)
+for (const resolution of ['110m', '50m']) {
+  const topoPath = require.resolve(`world-atlas/countries-${resolution}.json`);
+  const topo = JSON.parse(readFileSync(topoPath, 'utf8'));
+  const unmapped = topo.objects.countries.geometries
+    .filter(g => !g.id || !countries.getNumericCodes()[g.id])
+    .map(g => g.properties?.name || '(unnamed)');
+  if (unmapped.length > 0) {
+    console.log(`⚠️  ${resolution}: no ISO code for ${unmapped.join(', ')}`);
+  }
+}
+
+const lines = rows.map(({ numeric, alpha3, name }) => `  '${numeric}': '${alpha3}', // ${name}`);
+
+writeFileSync(OUTPUT, `// Generated by scripts/generate-country-codes.mjs - do not edit by hand.
+// ISO 3166-1 numeric -> alpha-3 (world-atlas uses zero-padded numeric IDs)
+export const NUMERIC_TO_ISO: Record<string, string> = {
+${lines.join('\n')}
+};
+`);
+
+console.log(`✅ Written ${rows.length} country codes to ${path.relative(ROOT, OUTPUT)}`);
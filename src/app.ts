@@ -0,0 +1,3001 @@
+import './style.css';
+import * as d3 from 'd3';
+import { feature } from 'topojson-client';
+import worldMap110mUrl from 'world-atlas/countries-110m.json?url';
+import worldMap50mUrl from 'world-atlas/countries-50m.json?url';
+import { WhalingData, CatchBreakdown, CatchArea, SpeciesStatus, TimelineAnnotation } from './types';
+import { NUMERIC_TO_ISO } from './countryCodes';
+import { downloadFile, toCsv, createStandaloneSvg, svgToPngBlob } from './export';
+import { createDataIndex, DataIndex, CatchFilter, sumCatches } from './data';
+import { validateData, DataValidationError } from './validate';
+import { createMapColorScale, MapColorScale, ColorScaleType, COLOR_SCALE_TYPES, PALETTES } from './colorScale';
+import { LOCALES, Locale, Translator, applyPageLocale, createTranslator, detectLocale } from './i18n';
+
+// World map TopoJSON is bundled from world-atlas and served from our own origin.
+// Pick the resolution at build time: VITE_MAP_RESOLUTION=50m npm run build
+const WORLD_MAP_URLS: Record<string, string> = {
+  '110m': worldMap110mUrl,
+  '50m': worldMap50mUrl,
+};
+const MAP_RESOLUTION = import.meta.env.VITE_MAP_RESOLUTION || '110m';
+// Shown in the load and validation error panels
+const REGENERATE_COMMAND = 'uv run python data/process_data.py';
+// Widgets mounted so far (numbers their element ids)
+let instanceCount = 0;
+// Parts of the widget besides the map (the map is always shown)
+export type WidgetComponent = 'header' | 'filters' | 'timeline' | 'footer';
+export const WIDGET_COMPONENTS: WidgetComponent[] = ['header', 'filters', 'timeline', 'footer'];
+
+export interface MountOptions {
+  dataUrl?: string; // whaling_data.json to load (default /data/whaling_data.json)
+  query?: string; // Initial view in the shareable-link format, e.g. "?range=1946-1986&view=areas"
+  year?: number; // Initial year (overrides query)
+  species?: string[]; // Initial species codes (overrides query)
+  components?: WidgetComponent[]; // Default: all
+  theme?: 'dark' | 'light';
+  mapHeight?: number; // px; default fills the window below the other components
+  lang?: Locale; // UI language of this widget
+  syncUrl?: boolean; // Read and write the view in the page URL and history (the standalone app)
+}
+
+export interface WidgetEvents {
+  hover: (country: string | null) => void; // Country code under the pointer or focus
+  select: (country: string | null) => void; // Pinned (clicked) country
+  ready: () => void; // Data loaded and first render done
+}
+
+export interface StillWhalingWidget {
+  setYear(year: number): void;
+  setSpecies(species: string[]): void;
+  on<K extends keyof WidgetEvents>(type: K, listener: WidgetEvents[K] | null): StillWhalingWidget;
+  /** Stop playback, remove the widget's DOM and its window/document listeners */
+  destroy(): void;
+}
+
+// Render the app into `element`. Each call is an independent instance (state lives in this closure);
+// it listens on window/document only for resize, keyboard stepping and (with syncUrl) history.
+export function mount(element: HTMLElement, options: MountOptions = {}): StillWhalingWidget {
+  const root = d3.select(element).classed('stillwhaling', true).classed('theme-light', options.theme === 'light');
+  const components = new Set(options.components || WIDGET_COMPONENTS);
+  const syncUrl = !!options.syncUrl;
+  const dataUrl = options.dataUrl || '/data/whaling_data.json';
+  const lifetime = new AbortController(); // Aborted by destroy() to drop the window/document listeners
+  // Element ids are prefixed per instance (several widgets can share a page); elements are looked up by class
+  const idPrefix = `stillwhaling-${++instanceCount}`;
+  const uid = (name: string) => `${idPrefix}-${name}`;
+  // Strings and number/date formats in this widget's language (replaced when the language changes)
+  let i18n: Translator = createTranslator(options.lang || detectLocale(syncUrl ? window.location.search : options.query || ''));
+  const events = d3.dispatch<object, { hover: [string | null]; select: [string | null]; ready: [] }>('hover', 'select', 'ready');
+  let resolveReady: () => void;
+  const ready = new Promise<void>(resolve => { resolveReady = resolve; });
+  
+  // Hooks into the map and timeline, set when they are drawn (the timeline ones stay null when it's hidden)
+  let mapCountries: any = null;
+  let mapAreas: any = null;
+  let mapBubbles: any = null;
+  let mapAnchors: Map<string, { coordinates: [number, number]; area: number }> | null = null;
+  let mapProjectPoint: ((coordinates: [number, number]) => [number, number] | null) | null = null;
+  let setMapProjection: ((type: MapProjection) => void) | null = null;
+  let resizeMap: (() => void) | null = null;
+  let resizeTimeline: (() => void) | null = null;
+  let updateTimelineScrubber: (() => void) | null = null;
+  let updateTimelineTotals: (() => void) | null = null;
+  let updateTimelineCountryHighlight: ((countryData: { year: number; total: number }[] | null) => void) | null = null;
+
+
+  // State
+  let data: WhalingData;
+  let dataIndex: DataIndex; // Lookups and cached aggregates over `data`
+  let worldTopo: any;
+  let currentYear: number;
+  let selectedRange: [number, number] | null = null; // Brushed years shown as cumulative totals (null = current year only)
+  let selectedSpecies: string[] = []; // Empty = all species
+  let selectedTypes: string[] = []; // Empty = all whaling types
+  let hoveredCountry: string | null = null;
+  let touchInput = false; // Last pointer was a finger: a tap shows the tooltip, a second tap pins
+  const MOBILE_BREAKPOINT = 700; // px, phone layout below this width (matches the @media rule in style.css)
+  let filtersOpen = false; // Filter drawer on phones
+  let mapColorScale: MapColorScale | null = null; // Current choropleth scale (legend and exports)
+  let colorScaleType: ColorScaleType = 'linear';
+  let colorPalette = 'reds';
+  let fixedColorDomain = false; // Same color scale for every year instead of rescaling to each year's max
+  const LEGEND_WIDTH = 160; // px, color bar in the map legend
+  const MAX_CHANGELOG_COUNTRIES = 10; // Countries listed under "What changed" in the About dialog
+  let pinnedCountry: string | null = null; // Clicked country, kept highlighted and shared in the URL
+  let comparedCountries: string[] = []; // Shift-clicked countries drawn as lines on the timeline
+  let comparisonScale: 'absolute' | 'share' = 'absolute'; // Catches, or % of global catches
+  let showPopulation = false; // Population estimates of the selected species on the timeline
+  let mapLayer: 'countries' | 'areas' = 'countries'; // Who caught them vs. where they were caught
+  let countryBubbles = false; // Countries layer as proportional circles (keeps tiny island states visible)
+  let mapZoomScale = 1; // Current d3-zoom scale; symbols are divided by it to keep their on-screen size
+  type MapProjection = 'flat' | 'globe' | 'polar';
+  const MAP_PROJECTIONS: [MapProjection, string][] = [['flat', 'map.flat'], ['globe', 'map.globe'], ['polar', 'map.polar']]; // type, label key
+  let mapProjection: MapProjection = 'flat';
+  let globeRotation: [number, number] = [-20, 30]; // Globe center (rotation) - starts over the South Atlantic; kept across redraws
+  let filterRowSyncs: (() => void)[] = []; // Re-sync filter buttons after state changes (e.g. back/forward)
+
+  // Country ranking panel
+  type RankingSortKey = 'name' | 'catches' | 'share' | 'change' | 'lastActive';
+  const RANKING_COLUMNS: [RankingSortKey, string][] = [['name', 'ranking.country'], ['catches', 'ranking.catches'], ['share', 'ranking.share'], ['change', 'ranking.change'], ['lastActive', 'ranking.lastActive']];
+  let rankingOpen = false;
+  let rankingScope: 'period' | 'all' = 'period'; // Shown year/range, or all years
+  let rankingSort: { key: RankingSortKey; descending: boolean } = { key: 'catches', descending: true };
+
+  // Timeline modes: global total, or stacked layers by species / by top countries
+  type TimelineMode = 'total' | 'species' | 'country';
+  const TIMELINE_MODES: [TimelineMode, string][] = [['total', 'timeline.total'], ['species', 'timeline.bySpecies'], ['country', 'timeline.byCountry']]; // mode, label key
+  const TIMELINE_TOP_COUNTRIES = 5; // Remaining nations are grouped as "Other"
+  let timelineMode: TimelineMode = 'total';
+
+  const MAX_COMPARED_COUNTRIES = 8; // One per color in d3.schemeSet2
+
+  // Timeline playback
+  const PLAYBACK_SPEEDS: [string, number][] = [['0.5×', 1600], ['1×', 800], ['2×', 400], ['4×', 200]]; // label, ms per year
+  let playbackTimer: number | null = null;
+  let playbackInterval = 800;
+  let playbackLoop = false;
+
+  // Helper: Extract country code from map feature
+  function getCountryCode(d: any): string {
+    let code = d.properties?.ISO_A3 || d.properties?.iso_a3 || d.id;
+    // Convert numeric ID to ISO_A3 if needed (world-atlas IDs are zero-padded)
+    if (code && /^\d+$/.test(String(code))) {
+      code = NUMERIC_TO_ISO[String(code).padStart(3, '0')] || code;
+    }
+    return code || '';
+  }
+
+  // Helper: Validate year is in valid range
+  function isValidYear(year: number): boolean {
+    if (!data?.metadata?.years) return false;
+    return year >= data.metadata.years[0] && year <= data.metadata.years[data.metadata.years.length - 1];
+  }
+
+  // Helper: Clamp year to valid range
+  function clampYear(year: number): number {
+    if (!data?.metadata?.years) return year;
+    const min = data.metadata.years[0];
+    const max = data.metadata.years[data.metadata.years.length - 1];
+    return Math.max(min, Math.min(max, year));
+  }
+
+  // Helper: Current species and whaling type selection
+  function currentFilter(): CatchFilter {
+    return { species: selectedSpecies, types: selectedTypes };
+  }
+
+  // Helper: Catches for a record after applying the species and whaling type filters
+  function filterCatches(entry: CatchBreakdown & { types?: Record<string, CatchBreakdown> }): CatchBreakdown {
+    return dataIndex.filterCatches(entry, currentFilter());
+  }
+
+  // Helper: Global yearly totals after applying the species and whaling type filters
+  function getFilteredTimeline(): { year: number; total: number }[] {
+    return dataIndex.yearTotals(currentFilter());
+  }
+
+  // Helper: Years summed on the map, stats and tooltips (the brushed range, or just the current year)
+  function getPeriodYears(): number[] {
+    if (!selectedRange) return [currentYear];
+    const [from, to] = selectedRange;
+    return data.metadata.years.filter(year => year >= from && year <= to);
+  }
+
+  // Helper: Label for the shown period, e.g. "1995" or "1946–1986" (years written as in the UI language)
+  function getPeriodLabel(): string {
+    return selectedRange && selectedRange[0] !== selectedRange[1]
+      ? `${i18n.formatYear(selectedRange[0])}–${i18n.formatYear(selectedRange[1])}`
+      : i18n.formatYear(selectedRange ? selectedRange[0] : currentYear);
+  }
+
+  // Helper: Display name of a species code in the UI language
+  function speciesLabel(code: string): string {
+    return i18n.speciesName(code, data.metadata.species, data.metadata.speciesScientific);
+  }
+
+  // Helper: Display name of a whaling type code in the UI language
+  function typeLabel(code: string): string {
+    return i18n.typeName(code, data.metadata.types);
+  }
+
+  // Helper: Filtered catches drawn on a map country over the shown period
+  function getPeriodCatches(countryCode: string): CatchBreakdown {
+    if (!selectedRange) {
+      return dataIndex.mapCatches(countryCode, currentYear, currentFilter());
+    }
+    const [from, to] = selectedRange;
+    return sumCatches(getCountryHistory(countryCode).filter(d => d.year >= from && d.year <= to));
+  }
+
+  // Helper: Values spanning the fixed color domain - every year's catches per feature,
+  // or each feature's all-years total when a range is brushed
+  function getFixedDomainValues(countryCodes: string[]): number[] {
+    return countryCodes.flatMap(code => {
+      const history = getCountryHistory(code);
+      return selectedRange ? [d3.sum(history, d => d.total)] : history.map(d => d.total);
+    });
+  }
+
+  // Helper: Stacked timeline layers (filtered) for the current timeline mode
+  function getTimelineLayers(): { keys: string[]; labels: Record<string, string>; colors: Record<string, string>; rows: Record<string, number>[] } {
+    if (timelineMode === 'species') {
+      const rows = dataIndex.speciesTimeline(currentFilter());
+      const speciesCodes = selectedSpecies.length > 0 ? selectedSpecies : Object.keys(data.metadata.species);
+      const keys = speciesCodes.filter(code => rows.some(row => (row[code] || 0) > 0));
+      return {
+        keys,
+        labels: Object.fromEntries(keys.map(code => [code, speciesLabel(code)])),
+        colors: Object.fromEntries(keys.map(code => [code, speciesColor(code)])),
+        rows,
+      };
+    }
+    
+    // By country: top nations over all years, everything else as "Other"
+    const totalsByNation = dataIndex.nationTotals(currentFilter());
+    const topNations = Array.from(totalsByNation.entries())
+      .filter(([_, nation]) => nation.total > 0)
+      .sort((a, b) => b[1].total - a[1].total)
+      .slice(0, TIMELINE_TOP_COUNTRIES)
+      .map(([nation]) => nation);
+    
+    const rows = getFilteredTimeline().map(({ year, total }) => {
+      const row: Record<string, number> = { year };
+      topNations.forEach(nation => {
+        row[nation] = totalsByNation.get(nation)!.byYear.get(year) || 0;
+      });
+      row['__other'] = Math.max(0, total - d3.sum(topNations, nation => row[nation]));
+      return row;
+    });
+    
+    const keys = [...topNations, '__other'];
+    return {
+      keys,
+      labels: Object.fromEntries(keys.map(key => [key, key === '__other' ? i18n.t('timeline.other') : i18n.nationName(key)])),
+      colors: Object.fromEntries(keys.map((key, i) => [key, key === '__other' ? '#4a5d6e' : d3.schemeTableau10[i % 10]])),
+      rows,
+    };
+  }
+
+  // Helper: Create empty topo object to prevent crashes
+  function createEmptyTopo() {
+    return { objects: { countries: { type: 'GeometryCollection', geometries: [] } } };
+  }
+
+  // Load data and world map
+  async function init() {
+    const app = element;
+
+    try {
+      // Load whaling data
+      console.log(`Loading whaling data from ${dataUrl}...`);
+      const dataResponse = await fetch(dataUrl, {
+        cache: 'no-cache',
+        headers: {
+          'Cache-Control': 'no-cache'
+        }
+      });
+      
+      if (!dataResponse.ok) {
+        const errorText = await dataResponse.text();
+        throw new Error(`HTTP ${dataResponse.status}: ${dataResponse.statusText}\n${errorText.substring(0, 200)}`);
+      }
+      
+      const dataText = await dataResponse.text();
+      let rawData: unknown;
+      try {
+        rawData = JSON.parse(dataText);
+      } catch (parseError) {
+        console.error('JSON parse error:', parseError);
+        console.error('Response text (first 500 chars):', dataText.substring(0, 500));
+        throw new Error(`Failed to parse JSON: ${parseError instanceof Error ? parseError.message : String(parseError)}`);
+      }
+      
+      // Check every record against the schema (throws DataValidationError listing the problems)
+      data = validateData(rawData);
+      dataIndex = createDataIndex(data);
+      
+      console.log('✅ Data loaded:', {
+        years: data.metadata.years.length,
+        countries: data.metadata.countries.length,
+        records: data.byCountryYear.length
+      });
+      
+      // Restore year, filters, pinned country and view from the URL or options (defaults to most recent year)
+      const query = syncUrl ? window.location.search : options.query || '';
+      if (syncUrl) applyPageLocale(i18n.locale);
+      readUrlState(query);
+      if (options.year !== undefined) currentYear = clampYear(options.year);
+      if (options.species) selectedSpecies = parseCodeList(options.species.join(','), data.metadata.species, 'species');
+      if (syncUrl) history.replaceState(null, '', buildUrl());
+      
+      // Load world map (TopoJSON) - non-blocking, app works without it
+      const mapUrl = WORLD_MAP_URLS[MAP_RESOLUTION] || WORLD_MAP_URLS['110m'];
+      console.log(`Loading world map (${MAP_RESOLUTION})...`);
+      try {
+        const response = await fetch(mapUrl);
+        if (response.ok) {
+          worldTopo = await response.json();
+          console.log(`✅ World map loaded from ${mapUrl}`);
+        } else {
+          console.warn(`⚠️  World map request failed (${response.status})`);
+          worldTopo = createEmptyTopo();
+        }
+      } catch (error) {
+        console.error('World map load error:', error);
+        worldTopo = createEmptyTopo();
+      }
+      
+      render();
+      resolveReady();
+      events.call('ready');
+    } catch (error) {
+      console.error('Failed to load data:', error);
+      if (error instanceof DataValidationError) {
+        showValidationErrors(app, error);
+        return;
+      }
+      const panel = d3.select(app).html('')
+        .append('div')
+        .attr('class', 'loading error-panel');
+      panel.append('h2').text(i18n.t('error.loadTitle'));
+      panel.append('p')
+        .attr('class', 'error-message')
+        .text(error instanceof Error ? error.message : String(error));
+      const hint = panel.append('p').attr('class', 'error-hint');
+      hint.append('span').text(i18n.t('error.checkConsole'));
+      [i18n.t('error.devServer'), i18n.t('error.dataFile', { url: dataUrl }), i18n.t('error.run')].forEach(line => {
+        hint.append('br');
+        hint.append('span').text(`• ${line} `);
+      });
+      hint.append('code').attr('class', 'command-note').text(REGENERATE_COMMAND);
+    }
+  }
+
+  // Error panel listing the records that failed validation
+  function showValidationErrors(app: HTMLElement, error: DataValidationError) {
+    const panel = d3.select(app).html('')
+      .append('div')
+      .attr('class', 'loading error-panel validation-panel');
+    
+    panel.append('h2').text(i18n.t('error.invalidTitle'));
+    const count = error.issues.length;
+    panel.append('p')
+      .attr('class', 'error-hint')
+      .text(count === 1 ? i18n.t('error.invalidCountOne', { url: dataUrl })
+        : i18n.t('error.invalidCount', { count: `${i18n.formatNumber(count)}${error.truncated ? '+' : ''}`, url: dataUrl }));
+    panel.append('ul')
+      .attr('class', 'validation-issues')
+      .selectAll('li')
+      .data(error.issues)
+      .join('li')
+      .text(issue => issue);
+    if (error.truncated) {
+      panel.append('p').attr('class', 'error-hint').text(i18n.t('error.truncated'));
+    }
+    const hint = panel.append('p').attr('class', 'error-hint');
+    hint.append('span').text(`${i18n.t('error.regenerate')} `);
+    hint.append('code').attr('class', 'command-note').text(REGENERATE_COMMAND);
+  }
+
+  function render() {
+    const app = root;
+    app.html(''); // Clear loading
+    filterRowSyncs = [];
+    
+    if (components.has('header')) renderHeader(app);
+    if (components.has('filters')) renderFilters(app);
+    if (components.has('timeline')) createTimeline(app as any);
+    
+    // Tooltip (announced when a country gets keyboard focus)
+    app.append('div').attr('class', 'tooltip').attr('role', 'status').attr('aria-live', 'polite');
+    
+    // Map (will call updateVisualization when ready)
+    createMap(app as any);
+    
+    // Accessible data table for the shown period (filled by updateDataTable)
+    const tablePanel = app.append('section')
+      .attr('class', 'data-table-panel')
+      .attr('id', uid('data-table-panel'))
+      .attr('aria-label', i18n.t('table.label'))
+      .property('hidden', true);
+    const table = tablePanel.append('table').attr('class', 'data-table');
+    table.append('caption').attr('class', 'data-table-caption');
+    table.append('thead').append('tr')
+      .selectAll('th')
+      .data([i18n.t('table.country'), i18n.t('table.catches'), i18n.t('table.share'), i18n.t('table.species')])
+      .join('th')
+      .attr('scope', 'col')
+      .text(d => d);
+    table.append('tbody');
+
+    // Add footer
+    if (components.has('footer')) {
+      app.append('footer')
+        .html(`
+          <div class="footer-content">
+            <span>© 2026 <a href="https://janczechowski.com" target="_blank" rel="noopener noreferrer">Jan Czechowski</a></span>
+            <span class="footer-divider">|</span>
+            <span>${i18n.t('footer.data')} <a href="https://iwc.int/management-and-conservation/whaling/total-catches" target="_blank" rel="noopener noreferrer">International Whaling Commision</a></span>
+          </div>
+        `);
+    }
+    
+    // Initial visualization will be triggered by createMap when paths are ready
+    // No setTimeout hack needed - createMap calls updateVisualization directly
+  }
+  
+  // Header: title, language picker, Table/Export/About buttons and the About dialog
+  function renderHeader(app: d3.Selection<HTMLElement, unknown, null, undefined>) {
+    app.append('header')
+      .html(`
+        <div>
+          <h1>Still <span>Whaling</span></h1>
+          <div class="subtitle">${i18n.t('subtitle')}</div>
+        </div>
+        <div class="header-actions">
+          <select class="control-select language-select" title="${i18n.t('language')}" aria-label="${i18n.t('language')}">
+            ${LOCALES.map(([code, name]) => `<option value="${code}"${code === i18n.locale ? ' selected' : ''}>${name}</option>`).join('')}
+          </select>
+          <button class="about-btn table-btn" aria-controls="${uid('data-table-panel')}" aria-expanded="false">${i18n.t('header.table')}</button>
+          <button class="about-btn export-btn">${i18n.t('header.export')}</button>
+          <button class="about-btn about-open" aria-haspopup="dialog">${i18n.t('header.about')}</button>
+          <div class="export-menu">
+            <div class="export-section">
+              <h3>${i18n.t('export.data')}</h3>
+              <div class="export-range">
+                <label>${i18n.t('export.from')} <input type="number" class="export-from" /></label>
+                <label>${i18n.t('export.to')} <input type="number" class="export-to" /></label>
+              </div>
+              <div class="export-actions">
+                <button class="filter-btn" data-export="csv">CSV</button>
+                <button class="filter-btn" data-export="json">JSON</button>
+              </div>
+            </div>
+            <div class="export-section">
+              <h3>${i18n.t('export.map')}</h3>
+              <div class="export-actions">
+                <button class="filter-btn" data-export="map-svg">SVG</button>
+                <button class="filter-btn" data-export="map-png">PNG</button>
+              </div>
+            </div>
+            <div class="export-section">
+              <h3>${i18n.t('export.timeline')}</h3>
+              <div class="export-actions">
+                <button class="filter-btn" data-export="timeline-svg">SVG</button>
+                <button class="filter-btn" data-export="timeline-png">PNG</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      `);
+    
+    setupExportMenu();
+    
+    // Language picker: redraw everything in the new language (state is kept)
+    root.select('.language-select').on('change', function(this: HTMLSelectElement) {
+      changeLocale(this.value as Locale);
+    });
+    
+    // About dialog
+    const aboutDialog = app.append('div')
+      .attr('class', 'about-dialog')
+      .attr('aria-hidden', 'true');
+    aboutDialog.html(`
+      <div class="about-dialog-content" role="dialog" aria-modal="true" aria-labelledby="${uid('about-title')}">
+        <button class="about-close" aria-label="${i18n.t('close')}">×</button>
+        <h2 id="${uid('about-title')}">${i18n.t('about.title')}</h2>
+        <p>${i18n.t('about.intro')}</p>
+        <div class="about-links">
+          <div class="about-link-section">
+            <h3>${i18n.t('about.source')}</h3>
+            <a href="https://iwc.int/management-and-conservation/whaling/total-catches" target="_blank" rel="noopener noreferrer">
+              IWC Total Catches Database
+            </a>
+            ${changelogHtml()}
+          </div>
+          ${data.metadata.speciesStatus ? `
+            <div class="about-link-section">
+              <h3>${i18n.t('about.status')}</h3>
+              <a href="https://www.iucnredlist.org/" target="_blank" rel="noopener noreferrer">
+                IUCN Red List of Threatened Species
+              </a>
+              <div class="about-note">${i18n.t('about.statusNote')}</div>
+            </div>
+          ` : ''}
+          <div class="about-link-section">
+            <h3>${i18n.t('about.inspiration')}</h3>
+            <a href="https://youtu.be/rTgwZR3T_uo" target="_blank" rel="noopener noreferrer" class="inspiration-link">
+              <div class="video-title">Whale Hunting Was Absolutely Crazy</div>
+              <div class="video-meta">by Nightshift – Kurzgesagt After Dark (Jan 30, 2026)</div>
+            </a>
+          </div>
+          <div class="about-link-section">
+            <h3>${i18n.t('about.author')}</h3>
+            <div class="about-author">Jan Czechowski 2026</div>
+            <a href="https://janczechowski.com" target="_blank" rel="noopener noreferrer">
+              janczechowski.com
+            </a>
+          </div>
+        </div>
+      </div>
+    `);
+    
+    // About dialog handlers
+    root.select('.about-open').on('click', openAboutDialog);
+    
+    root.select('.about-close').on('click', closeAboutDialog);
+    
+    // Close on backdrop click
+    aboutDialog.on('click', function(event: MouseEvent) {
+      if ((event.target as HTMLElement).classList.contains('about-dialog')) {
+        closeAboutDialog();
+      }
+    });
+    
+    // Escape closes; Tab cycles within the dialog
+    aboutDialog.on('keydown', function(this: HTMLElement, event: KeyboardEvent) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closeAboutDialog();
+      } else if (event.key === 'Tab') {
+        const focusable = Array.from(this.querySelectorAll<HTMLElement>('button, a[href]'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        }
+      }
+    });
+    
+    // Data table (screen-reader and keyboard alternative to the map), hidden until toggled
+    root.select('.table-btn').on('click', () => {
+      const panel = root.select('.data-table-panel');
+      const open = panel.property('hidden');
+      panel.property('hidden', !open);
+      root.select('.table-btn').classed('active', open).attr('aria-expanded', String(open));
+      if (open) updateDataTable();
+    });
+  }
+  
+  // Species and whaling type filters, in a drawer that collapses behind a toggle on phones
+  function renderFilters(app: d3.Selection<HTMLElement, unknown, null, undefined>) {
+    const drawer = app.append('div').attr('class', 'filters-drawer');
+    drawer.append('button')
+      .attr('class', 'filter-btn filters-toggle')
+      .attr('aria-controls', uid('filters-panel'))
+      .on('click', () => {
+        filtersOpen = !filtersOpen;
+        syncFiltersDrawer();
+      });
+    const filtersPanel = drawer.append('div').attr('class', 'filters-panel').attr('id', uid('filters-panel'));
+    
+    // Species filters
+    const filtersDiv = filtersPanel.append('div').attr('class', 'filters');
+    filterRowSyncs.push(createFilterRow(filtersDiv, i18n.t('filters.allSpecies'), Object.keys(data.metadata.species).map(code => [code, speciesLabel(code)]),
+      () => selectedSpecies, codes => { selectedSpecies = codes; }, statusBadge));
+    
+    // Whaling type filters (only if the data carries catch types)
+    const typeEntries = Object.keys(data.metadata.types || {}).map(code => [code, typeLabel(code)] as [string, string]);
+    if (typeEntries.length > 0) {
+      const typeFiltersDiv = filtersPanel.append('div').attr('class', 'filters type-filters');
+      filterRowSyncs.push(createFilterRow(typeFiltersDiv, i18n.t('filters.allTypes'), typeEntries,
+        () => selectedTypes, codes => { selectedTypes = codes; }));
+    }
+    filterRowSyncs.push(syncFiltersDrawer);
+    syncFiltersDrawer();
+  }
+
+  // Close the export menu on any outside click or Escape (registered once; the menu is redrawn with the UI)
+  document.addEventListener('click', () => root.select('.export-menu').classed('visible', false), { signal: lifetime.signal });
+  document.addEventListener('keydown', (event: KeyboardEvent) => {
+    if (event.key === 'Escape') root.select('.export-menu').classed('visible', false);
+  }, { signal: lifetime.signal });
+  
+  // Redraw the UI in another language; the view state (year, filters, pins) is kept
+  function changeLocale(locale: Locale) {
+    if (locale === i18n.locale) return;
+    stopPlayback();
+    i18n = createTranslator(locale);
+    if (syncUrl) applyPageLocale(locale);
+    render();
+    (root.select('.language-select').node() as HTMLSelectElement | null)?.focus();
+    updateUrl();
+  }
+
+  // About dialog: when the data was regenerated and what changed since the previous run
+  // (the full per-record changelog is published next to the data file)
+  function changelogHtml(): string {
+    const changelog = data.metadata.changelog;
+    if (!changelog) return '';
+    const signed = (delta: number) => `${delta > 0 ? '+' : delta < 0 ? '−' : '±'}${i18n.formatNumber(Math.abs(delta))}`;
+    const changes = changelog.previousHash ? [
+      changelog.recordsRevised === 1 ? i18n.t('about.revisedOne') : i18n.t('about.revised', { count: i18n.formatNumber(changelog.recordsRevised) }),
+      changelog.recordsAdded > 0 ? i18n.t('about.added', { count: i18n.formatNumber(changelog.recordsAdded) }) : '',
+      changelog.recordsRemoved > 0 ? i18n.t('about.removed', { count: i18n.formatNumber(changelog.recordsRemoved) }) : '',
+      changelog.yearsAdded.length > 0 ? i18n.t('about.yearsAdded', { years: changelog.yearsAdded.map(i18n.formatYear).join(', ') }) : '',
+    ].filter(Boolean) : [];
+    const countries = changelog.countries.slice(0, MAX_CHANGELOG_COUNTRIES);
+    const moreCountries = changelog.countries.length - countries.length;
+    
+    return `
+      <div class="about-note">${i18n.t('about.updated', { date: i18n.formatDate(changelog.date) })}${changes.length > 0 ? ` — ${changes.join(', ')}` : ''}</div>
+      ${countries.length > 0 ? `
+        <details class="about-changes">
+          <summary>${i18n.t('about.whatChanged')}</summary>
+          <ul>
+            ${countries.map(country => `
+              <li>
+                <span class="about-change-country">${i18n.nationName(country.country)}</span>
+                <span class="about-change-delta">${signed(country.delta)}</span>
+                <span class="about-change-species">${[
+                  ...Object.entries(country.species).map(([code, delta]) => `${speciesLabel(code)} ${signed(delta)}`),
+                  ...Object.entries(country.types || {}).map(([code, delta]) => `${typeLabel(code)} ${signed(delta)}`),
+                ].join(', ')}</span>
+              </li>
+            `).join('')}
+          </ul>
+          ${moreCountries > 0 ? `<div class="about-note">${i18n.t('about.moreCountries', { count: moreCountries })}</div>` : ''}
+          <a href="${dataUrl.replace(/\.json$/, '.changelog.json')}" target="_blank" rel="noopener noreferrer">${i18n.t('about.fullChangelog')}</a>
+        </details>
+      ` : ''}
+    `;
+  }
+
+  // Filter drawer toggle: label with the number of active filters; the panel is only hidden on phones
+  function syncFiltersDrawer() {
+    const active = selectedSpecies.length + selectedTypes.length;
+    const collapsible = window.innerWidth < MOBILE_BREAKPOINT;
+    root.select('.filters-toggle')
+      .classed('active', filtersOpen)
+      .attr('aria-expanded', String(filtersOpen || !collapsible))
+      .text(active > 0 ? i18n.t('filters.toggleCount', { count: active }) : i18n.t('filters.toggle'));
+    root.select('.filters-panel').classed('open', filtersOpen);
+  }
+
+  // Filter row: an "All" button plus one toggle per code, bound to a selection array.
+  // `badgeOf` adds markup after a label (e.g. a species' status badge).
+  // Returns a function that re-syncs the buttons with the selection.
+  function createFilterRow(
+    row: d3.Selection<HTMLDivElement, unknown, HTMLElement, any>,
+    allLabel: string,
+    entries: [string, string][],
+    getSelected: () => string[],
+    setSelected: (codes: string[]) => void,
+    badgeOf?: (code: string) => string
+  ): () => void {
+    const syncButtons = () => {
+      const selected = getSelected();
+      row.selectAll<HTMLButtonElement, string>('.filter-btn')
+        .classed('active', code => code === '' ? selected.length === 0 : selected.includes(code));
+    };
+    
+    row.selectAll('.filter-btn')
+      .data(['', ...entries.map(([code]) => code)])
+      .enter()
+      .append('button')
+      .attr('class', 'filter-btn')
+      .text(code => code === '' ? allLabel : entries.find(([c]) => c === code)![1])
+      .each(function(code) {
+        if (code !== '' && badgeOf) this.insertAdjacentHTML('beforeend', badgeOf(code));
+      })
+      .on('click', (_event: MouseEvent, code: string) => {
+        const selected = getSelected();
+        if (code === '') {
+          setSelected([]);
+        } else if (selected.includes(code)) {
+          setSelected(selected.filter(c => c !== code));
+        } else {
+          setSelected([...selected, code]);
+        }
+        syncButtons();
+        syncFiltersDrawer();
+        updateVisualization();
+      });
+    
+    syncButtons();
+    return syncButtons;
+  }
+
+  // Export menu: filtered data as CSV/JSON, map and timeline as SVG/PNG
+  function setupExportMenu() {
+    const menu = root.select('.export-menu');
+    const years = data.metadata.years;
+    
+    menu.selectAll<HTMLInputElement, unknown>('input')
+      .attr('min', years[0])
+      .attr('max', years[years.length - 1]);
+    
+    root.select('.export-btn').on('click', (event: MouseEvent) => {
+      event.stopPropagation();
+      const opening = !menu.classed('visible');
+      if (opening) {
+        // Default to the year or range on screen
+        root.select<HTMLInputElement>('.export-from').property('value', selectedRange ? selectedRange[0] : currentYear);
+        root.select<HTMLInputElement>('.export-to').property('value', selectedRange ? selectedRange[1] : currentYear);
+      }
+      menu.classed('visible', opening);
+    });
+    
+    menu.on('click', (event: MouseEvent) => event.stopPropagation());
+    
+    menu.selectAll<HTMLButtonElement, unknown>('[data-export]').on('click', function(this: HTMLButtonElement) {
+      const format = this.dataset.export!;
+      try {
+        if (format === 'csv' || format === 'json') {
+          const from = clampYear(Number(root.select<HTMLInputElement>('.export-from').property('value')) || currentYear);
+          const to = clampYear(Number(root.select<HTMLInputElement>('.export-to').property('value')) || currentYear);
+          exportData(format, Math.min(from, to), Math.max(from, to));
+        } else {
+          const [target, imageFormat] = format.split('-') as ['map' | 'timeline', 'svg' | 'png'];
+          exportChart(target, imageFormat).catch(error => console.error('Export failed:', error));
+        }
+      } catch (error) {
+        console.error('Export failed:', error);
+      }
+    });
+  }
+
+  // Helper: Human-readable summary of the active filters, e.g. "Fin Whale, Sei Whale · Commercial"
+  function describeFilters(): string {
+    const species = selectedSpecies.length > 0
+      ? selectedSpecies.map(speciesLabel).join(', ')
+      : i18n.t('filters.allSpeciesSummary');
+    const types = selectedTypes.length > 0
+      ? ` · ${selectedTypes.map(typeLabel).join(', ')}`
+      : '';
+    return `${species}${types}`;
+  }
+
+  function exportData(format: 'csv' | 'json', from: number, to: number) {
+    const speciesCodes = selectedSpecies.length > 0 ? selectedSpecies : Object.keys(data.metadata.species);
+    const records = d3.range(from, to + 1)
+      .flatMap(year => dataIndex.countriesInYear(year))
+      .map(d => ({ year: d.year, country: d.country, code: d.code, ...filterCatches(d) }))
+      .filter(d => d.total > 0)
+      .sort((a, b) => a.year - b.year || b.total - a.total);
+    
+    const range = from === to ? `${from}` : `${from}-${to}`;
+    if (format === 'csv') {
+      const columns = ['year', 'country', 'code', 'total', ...speciesCodes.map(code => data.metadata.species[code] || code)];
+      const rows = records.map(d => [d.year, d.country, d.code, d.total, ...speciesCodes.map(code => d.species[code] || 0)]);
+      downloadFile(toCsv(columns, rows), `stillwhaling-${range}.csv`, 'text/csv');
+    } else {
+      const json = {
+        source: data.metadata.source,
+        url: data.metadata.url,
+        filters: { years: [from, to], species: selectedSpecies, types: selectedTypes },
+        species: Object.fromEntries(speciesCodes.map(code => [code, data.metadata.species[code]])),
+        records,
+      };
+      downloadFile(JSON.stringify(json, null, 2), `stillwhaling-${range}.json`, 'application/json');
+    }
+  }
+
+  async function exportChart(target: 'map' | 'timeline', format: 'svg' | 'png') {
+    const source = root.select<SVGSVGElement>(target === 'map' ? '.map-svg' : '.timeline-svg').node();
+    if (!source) return;
+    
+    const attribution = i18n.t('export.attribution', { source: data.metadata.source });
+    const options = target === 'map'
+      ? {
+          title: i18n.t('export.mapTitle'),
+          subtitle: `${selectedRange ? i18n.t('export.cumulative', { period: getPeriodLabel() }) : i18n.formatYear(currentYear)} · ${describeFilters()}`,
+          attribution,
+          legendGradient: mapColorScale ? {
+            stops: mapColorScale.legend.stops,
+            minLabel: mapColorScale.legend.ticks[0].label,
+            maxLabel: mapColorScale.legend.ticks[mapColorScale.legend.ticks.length - 1].label,
+          } : undefined,
+        }
+      : {
+          title: i18n.t('export.timelineTitle'),
+          subtitle: `${i18n.formatYear(data.metadata.years[0])}–${i18n.formatYear(data.metadata.years[data.metadata.years.length - 1])} · ${describeFilters()}`,
+          attribution,
+          legendItems: root.selectAll<HTMLElement, string>('.timeline-legend-item').nodes().map(item => ({
+            label: item.textContent || '',
+            color: (item.querySelector('.timeline-swatch') as HTMLElement)?.style.background || '',
+          })),
+        };
+    
+    const { svg, width, height } = createStandaloneSvg(source, element, options);
+    const filename = `stillwhaling-${target}-${selectedRange ? selectedRange.join('-') : currentYear}`;
+    if (format === 'svg') {
+      downloadFile(svg, `${filename}.svg`, 'image/svg+xml');
+    } else {
+      downloadFile(await svgToPngBlob(svg, width, height), `${filename}.png`, 'image/png');
+    }
+  }
+
+  // Helper: Whether a timeline annotation applies to the current view. Scoped ones need one of
+  // their species selected, or one of their countries pinned or compared.
+  function isAnnotationRelevant(annotation: TimelineAnnotation): boolean {
+    const speciesMatch = !annotation.species || annotation.species.some(code => selectedSpecies.includes(code));
+    const countryMatch = !annotation.countries || annotation.countries
+      .some(code => code === pinnedCountry || comparedCountries.includes(code));
+    return speciesMatch && countryMatch;
+  }
+
+  // Helper: Year or period of an annotation, e.g. "1986" / "1982–1986"
+  function getAnnotationPeriod(annotation: TimelineAnnotation): string {
+    return annotation.until && annotation.until !== annotation.year
+      ? `${i18n.formatYear(annotation.year)}–${i18n.formatYear(annotation.until)}`
+      : i18n.formatYear(annotation.year);
+  }
+
+  function createTimeline(container: d3.Selection<any, unknown, null, undefined>) {
+    const timelineDiv = container.append('div').attr('class', 'timeline-container');
+    
+    const header = timelineDiv.append('div').attr('class', 'timeline-header');
+    header.append('div').attr('class', 'timeline-title').text(i18n.t('timeline.title'));
+    
+    // Mode switcher
+    const modes = header.append('div').attr('class', 'timeline-modes');
+    modes.selectAll('button')
+      .data(TIMELINE_MODES)
+      .enter()
+      .append('button')
+      .attr('class', 'playback-btn timeline-mode-btn')
+      .text(([_, label]) => i18n.t(label))
+      .on('click', (_event: MouseEvent, [mode]: [TimelineMode, string]) => {
+        timelineMode = mode;
+        syncTimelineModes();
+        updateVisualization();
+      });
+    modes.append('button')
+      .attr('class', 'playback-btn population-btn')
+      .text(i18n.t('timeline.population'))
+      .on('click', () => {
+        showPopulation = !showPopulation;
+        updateVisualization();
+      });
+    
+    // Playback controls
+    const controls = header.append('div').attr('class', 'timeline-controls');
+    controls.append('button')
+      .attr('class', 'playback-btn play-btn')
+      .attr('title', i18n.t('timeline.play'))
+      .text('▶')
+      .on('click', togglePlayback);
+    controls.append('select')
+      .attr('class', 'control-select')
+      .attr('title', i18n.t('timeline.speed'))
+      .on('change', function(this: HTMLSelectElement) {
+        playbackInterval = Number(this.value);
+        if (playbackTimer) {
+          startPlayback(); // Restart with the new speed
+        }
+      })
+      .selectAll('option')
+      .data(PLAYBACK_SPEEDS)
+      .enter()
+      .append('option')
+      .attr('value', ([_, ms]) => ms)
+      .property('selected', ([_, ms]) => ms === playbackInterval)
+      .text(([label]) => label);
+    controls.append('button')
+      .attr('class', 'playback-btn range-btn')
+      .attr('title', i18n.t('timeline.rangeHint'))
+      .text(i18n.t('timeline.range'))
+      .on('click', () => {
+        brushEnabled = !brushEnabled;
+        if (!brushEnabled && selectedRange) {
+          setRange(null);
+        } else {
+          updateScrubber();
+        }
+      });
+    controls.append('button')
+      .attr('class', 'playback-btn playback-loop')
+      .attr('title', i18n.t('timeline.loop'))
+      .classed('active', playbackLoop)
+      .text('⟳')
+      .on('click', function(this: HTMLButtonElement) {
+        playbackLoop = !playbackLoop;
+        d3.select(this).classed('active', playbackLoop);
+      });
+    
+    header.append('div').attr('class', 'timeline-year');
+    
+    // Narrower coordinate space on phones, so the chart isn't shrunk to a sliver
+    const getViewWidth = () => Math.max(600, Math.min(1000, (timelineDiv.node() as HTMLElement).clientWidth || 1000));
+    let viewWidth = getViewWidth();
+    const coarsePointer = window.matchMedia?.('(pointer: coarse)').matches ?? false;
+    // Exposed as a year slider; the arrow/Page/Home/End keys are handled by the document keydown handler
+    const svg = timelineDiv.append('svg')
+      .attr('class', 'timeline-svg')
+      .attr('viewBox', `0 0 ${viewWidth} 80`)
+      .attr('tabindex', 0)
+      .attr('role', 'slider')
+      .attr('aria-label', i18n.t('timeline.slider'))
+      .attr('aria-valuemin', d3.min(data.metadata.years)!)
+      .attr('aria-valuemax', d3.max(data.metadata.years)!);
+    
+    const margin = { top: 10, right: 40, bottom: 20, left: 40 };
+    let width = viewWidth - margin.left - margin.right;
+    const height = 80 - margin.top - margin.bottom;
+    
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+    
+    // Scales
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(data.metadata.years) as [number, number])
+      .range([0, width]);
+    
+    let timelineData = getFilteredTimeline();
+    const yScale = d3.scaleLinear()
+      .domain([0, d3.max(timelineData, d => d.total) || 1])
+      .range([height, 0]);
+    
+    // Line generator
+    const line = d3.line<{year: number; total: number}>()
+      .x((d: {year: number; total: number}) => xScale(d.year))
+      .y((d: {year: number; total: number}) => yScale(d.total))
+      .curve(d3.curveMonotoneX);
+    
+    // Area generator (used for both main timeline and country highlight)
+    const area = d3.area<{year: number; total: number}>()
+      .x((d: {year: number; total: number}) => xScale(d.year))
+      .y0(height)
+      .y1((d: {year: number; total: number}) => yScale(d.total))
+      .curve(d3.curveMonotoneX);
+    
+    // Stacked layers (species / country modes)
+    const layersGroup = g.append('g').attr('class', 'timeline-layers');
+    
+    // Draw area
+    const totalArea = g.append('path')
+      .datum(timelineData)
+      .attr('class', 'timeline-area')
+      .attr('d', area);
+    
+    // Draw line
+    const totalLine = g.append('path')
+      .datum(timelineData)
+      .attr('class', 'timeline-line')
+      .attr('d', line);
+    
+    // Country highlight area (hidden by default)
+    g.append('path')
+      .attr('class', 'timeline-country-area');
+    
+    // Comparison lines (shift-clicked countries), with a % axis in share mode
+    const comparisonGroup = g.append('g').attr('class', 'timeline-comparison');
+    const shareScale = d3.scaleLinear().range([height, 0]);
+    const shareAxis = g.append('g')
+      .attr('class', 'timeline-axis timeline-share-axis')
+      .attr('transform', `translate(${width},0)`);
+    let comparison: { code: string; name: string; values: { year: number; value: number }[] }[] = [];
+    
+    // Population estimates of the selected species: dashed lines through the (sparse) estimates, on a left axis
+    const populationGroup = g.append('g').attr('class', 'timeline-population');
+    const populationScale = d3.scaleLinear().range([height, 0]);
+    const populationAxis = g.append('g').attr('class', 'timeline-axis timeline-population-axis');
+    
+    // Scrubber line
+    const scrubber = g.append('g').attr('class', 'timeline-scrubber-group');
+    scrubber.append('line')
+      .attr('class', 'timeline-scrubber')
+      .attr('x1', xScale(currentYear))
+      .attr('x2', xScale(currentYear))
+      .attr('y1', 0)
+      .attr('y2', height);
+    
+    scrubber.append('circle')
+      .attr('class', 'timeline-scrubber-head')
+      .attr('cx', xScale(currentYear))
+      .attr('cy', height)
+      .attr('r', 6);
+    // Invisible, larger grab area around the head (finger-sized on touch screens)
+    scrubber.append('circle')
+      .attr('class', 'timeline-scrubber-hit')
+      .attr('cx', xScale(currentYear))
+      .attr('cy', height)
+      .attr('r', coarsePointer ? 20 : 10);
+    
+    // Year range brush (cumulative catches), only listening while range mode is on
+    let brushEnabled = !!selectedRange;
+    const brush = d3.brushX()
+      .extent([[0, 0], [width, height]])
+      .handleSize(coarsePointer ? 24 : 6)
+      .on('brush end', (event: d3.D3BrushEvent<unknown>) => {
+        if (!event.sourceEvent) return; // Moved from code (see updateScrubber)
+        if (!event.selection) {
+          if (event.type === 'end') setRange(null);
+          return;
+        }
+        const [x0, x1] = event.selection as [number, number];
+        const range: [number, number] = [Math.round(xScale.invert(x0)), Math.round(xScale.invert(x1))];
+        if (event.type === 'end') {
+          brushGroup.call(brush.move, range.map(xScale) as [number, number]); // Snap to whole years
+        }
+        if (!selectedRange || range[0] !== selectedRange[0] || range[1] !== selectedRange[1]) {
+          setRange(range);
+        }
+      });
+    const brushGroup = g.append('g')
+      .attr('class', 'timeline-brush')
+      .call(brush);
+    
+    // Historical events (on top of the brush so their flags stay hoverable in range mode)
+    const annotationsGroup = g.append('g').attr('class', 'timeline-annotations');
+    
+    // X axis
+    const xAxis = d3.axisBottom(xScale)
+      .ticks(10)
+      .tickFormat((d) => String(d));
+    
+    const xAxisGroup = g.append('g')
+      .attr('class', 'timeline-axis')
+      .attr('transform', `translate(0,${height})`)
+      .call(xAxis);
+    
+    // Legend (stacked modes) and hover readout
+    const legend = timelineDiv.append('div').attr('class', 'timeline-legend');
+    const readout = timelineDiv.append('div').attr('class', 'timeline-readout');
+    const annotationCard = timelineDiv.append('div').attr('class', 'timeline-readout timeline-annotation-card').attr('role', 'tooltip');
+    let shownAnnotation: TimelineAnnotation | null = null;
+    let layers = getTimelineLayers();
+    let countryHighlight: {year: number; total: number}[] | null = null;
+    
+    svg.on('mousemove.readout', function(this: SVGSVGElement, event: MouseEvent) {
+      if ((event.target as Element).closest('.timeline-annotation')) { // The event card is shown instead
+        readout.classed('visible', false);
+        return;
+      }
+      const [x] = d3.pointer(event, this);
+      const year = clampYear(Math.round(xScale.invert(x - margin.left)));
+      const total = timelineData.find(d => d.year === year)?.total || 0;
+      const row = layers.rows.find(r => r.year === year);
+      const layerRows = timelineMode === 'total' || !row ? [] : layers.keys
+        .map(key => [key, row[key] || 0] as [string, number])
+        .filter(([_, value]) => value > 0)
+        .reverse();
+      const countryTotal = countryHighlight?.find(d => d.year === year)?.total;
+      const countryCode = hoveredCountry || pinnedCountry;
+      const countryName = countryCode ? getCountryDisplayName(countryCode) : '';
+      const formatComparison = (value: number) => comparisonScale === 'share'
+        ? i18n.formatPercent(value)
+        : i18n.formatNumber(value);
+      
+      readout.html(`
+        <div class="timeline-readout-year">${i18n.formatYear(year)}</div>
+        <div class="timeline-readout-row"><span>${i18n.t('timeline.total')}</span><span>${i18n.formatNumber(total)}</span></div>
+        ${countryTotal !== undefined ? `<div class="timeline-readout-row highlighted"><span>${countryName}</span><span>${i18n.formatNumber(countryTotal)}</span></div>` : ''}
+        ${comparison.map(({ code, name, values }) => `
+          <div class="timeline-readout-row">
+            <span><i class="timeline-swatch" data-color="${comparisonColor(code)}"></i>${name}</span>
+            <span>${formatComparison(values.find(d => d.year === year)?.value || 0)}</span>
+          </div>
+        `).join('')}
+        ${layerRows.map(([key, value]) => `
+          <div class="timeline-readout-row">
+            <span><i class="timeline-swatch" data-color="${layers.colors[key]}"></i>${layers.labels[key]}</span>
+            <span>${i18n.formatNumber(value)}</span>
+          </div>
+        `).join('')}
+      `);
+      applySwatchColors(readout);
+      
+      const bounds = (timelineDiv.node() as HTMLElement).getBoundingClientRect();
+      const left = event.clientX - bounds.left;
+      readout
+        .classed('visible', true)
+        .classed('flipped', left > bounds.width / 2)
+        .style('left', `${left}px`);
+    });
+    svg.on('mouseleave.readout', () => readout.classed('visible', false));
+    
+    // Helper: Update year from x position
+    function updateYearFromX(x: number, isRelative: boolean = false) {
+      const adjustedX = isRelative ? Math.max(0, Math.min(width, x)) : x - margin.left;
+      if (adjustedX >= 0 && adjustedX <= width) {
+        const year = Math.round(xScale.invert(adjustedX));
+        if (isValidYear(year) && year !== currentYear) {
+          stopPlayback();
+          setYear(year);
+        }
+      }
+    }
+    
+    // Interaction - drag anywhere on timeline
+    const timelineDrag = d3.drag<SVGSVGElement, unknown>()
+      .on('drag', function(this: SVGSVGElement, event: d3.D3DragEvent<SVGSVGElement, unknown, unknown>) {
+        const [x] = d3.pointer(event, this);
+        updateYearFromX(x, false);
+      });
+    
+    svg.call(timelineDrag);
+    
+    // Also allow dragging the scrubber directly
+    const scrubberDrag = d3.drag<SVGGElement, unknown>()
+      .on('drag', function(event: d3.D3DragEvent<SVGGElement, unknown, unknown>) {
+        updateYearFromX(event.x, true);
+      });
+    
+    scrubber.call(scrubberDrag);
+    
+    // Click anywhere on timeline (for quick jumps when not dragging or brushing)
+    svg.on('click', function(this: SVGSVGElement, event: MouseEvent) {
+      hideAnnotationCard();
+      if (event.detail === 1 && !brushEnabled) { // Single click, not part of drag
+        const [x] = d3.pointer(event, this);
+        updateYearFromX(x, false);
+      }
+    });
+    
+    function updateScrubber() {
+      scrubber.select('line')
+        .attr('x1', xScale(currentYear))
+        .attr('x2', xScale(currentYear));
+      
+      scrubber.selectAll('circle')
+        .attr('cx', xScale(currentYear));
+      
+      // A brushed range replaces the scrubber; playback leaves range mode
+      if (selectedRange) {
+        brushEnabled = true;
+      } else if (playbackTimer) {
+        brushEnabled = false;
+      }
+      scrubber.style('display', selectedRange ? 'none' : null);
+      brushGroup.style('display', brushEnabled ? null : 'none');
+      // Sync the brush with the state (back/forward, single-year changes), but not mid-gesture
+      const brushed = d3.brushSelection(brushGroup.node()!) as [number, number] | null;
+      const brushedYears = brushed ? brushed.map(x => Math.round(xScale.invert(x))) : null;
+      if (String(brushedYears) !== String(selectedRange)) {
+        brushGroup.call(brush.move, selectedRange ? selectedRange.map(xScale) as [number, number] : null);
+      }
+      root.select('.range-btn').classed('active', brushEnabled);
+      
+      root.select('.timeline-year').text(getPeriodLabel());
+      svg
+        .attr('aria-valuenow', selectedRange ? selectedRange[0] : currentYear)
+        .attr('aria-valuetext', selectedRange ? i18n.t('timeline.rangeValue', { period: getPeriodLabel() }) : i18n.formatYear(currentYear));
+    }
+    
+    // Event markers: a flag on top of a guide line (or a band, for periods). Hover or focus shows the
+    // event card, click or Enter opens its link; on touch the first tap shows the card.
+    function updateAnnotations() {
+      const [firstYear, lastYear] = xScale.domain();
+      const shown = (data.metadata.annotations || [])
+        .filter(a => a.year <= lastYear && (a.until ?? a.year) >= firstYear && isAnnotationRelevant(a));
+      if (shownAnnotation && !shown.includes(shownAnnotation)) hideAnnotationCard();
+      
+      annotationsGroup.selectAll<SVGGElement, TimelineAnnotation>('g.timeline-annotation')
+        .data(shown, a => a.id)
+        .join(enter => {
+          const mark = enter.append('g')
+            .attr('class', 'timeline-annotation')
+            .attr('tabindex', 0)
+            .attr('role', a => a.link ? 'link' : 'note')
+            .attr('aria-label', a => `${getAnnotationPeriod(a)}: ${i18n.annotationText(a).title}`);
+          mark.append('rect').attr('class', 'timeline-annotation-band');
+          mark.append('line').attr('class', 'timeline-annotation-line');
+          mark.append('circle').attr('class', 'timeline-annotation-flag');
+          return mark
+            .on('mouseenter', function(this: SVGGElement, _event: MouseEvent, a: TimelineAnnotation) {
+              if (!touchInput) showAnnotationCard(this, a); // Taps are handled on click
+            })
+            .on('focus', function(this: SVGGElement, _event: FocusEvent, a: TimelineAnnotation) {
+              showAnnotationCard(this, a);
+            })
+            .on('mouseleave blur', hideAnnotationCard)
+            .on('mousedown touchstart', (event: Event) => event.stopPropagation()) // Not the start of a scrub
+            .on('click', function(this: SVGGElement, event: MouseEvent, a: TimelineAnnotation) {
+              event.stopPropagation();
+              if (touchInput && shownAnnotation !== a) {
+                showAnnotationCard(this, a);
+              } else if (a.link) {
+                window.open(a.link, '_blank', 'noopener');
+              }
+            })
+            .on('keydown', (event: KeyboardEvent, a: TimelineAnnotation) => {
+              if (event.key === 'Enter' && a.link) window.open(a.link, '_blank', 'noopener');
+            });
+        })
+        .call(marks => {
+          marks.select('.timeline-annotation-band')
+            .attr('x', a => xScale(a.year))
+            .attr('width', a => xScale(a.until ?? a.year) - xScale(a.year))
+            .attr('height', height);
+          marks.select('.timeline-annotation-line')
+            .attr('x1', a => xScale(a.year))
+            .attr('x2', a => xScale(a.year))
+            .attr('y2', height);
+          marks.select('.timeline-annotation-flag')
+            .attr('cx', a => xScale(a.year))
+            .attr('r', coarsePointer ? 6 : 4);
+        });
+    }
+    
+    function showAnnotationCard(mark: SVGGElement, annotation: TimelineAnnotation) {
+      shownAnnotation = annotation;
+      readout.classed('visible', false);
+      const { title, description } = i18n.annotationText(annotation);
+      annotationCard.html(`
+        <div class="timeline-readout-year">${getAnnotationPeriod(annotation)}</div>
+        <div class="timeline-annotation-title">${title}</div>
+        <p>${description}</p>
+        ${annotation.link ? `<div class="tooltip-hint">${touchInput ? i18n.t('annotation.tapHint') : i18n.t('annotation.hint')}</div>` : ''}
+      `);
+      const bounds = (timelineDiv.node() as HTMLElement).getBoundingClientRect();
+      const flag = mark.querySelector('.timeline-annotation-flag')!.getBoundingClientRect();
+      const left = flag.left + flag.width / 2 - bounds.left;
+      annotationCard
+        .classed('visible', true)
+        .classed('flipped', left > bounds.width / 2)
+        .style('left', `${left}px`);
+    }
+    
+    function hideAnnotationCard() {
+      shownAnnotation = null;
+      annotationCard.classed('visible', false);
+    }
+    
+    // Store update function for year changes made outside the timeline (e.g. back/forward)
+    updateTimelineScrubber = updateScrubber;
+    
+    // Refit the chart to a new container width (called with the map's resize)
+    resizeTimeline = () => {
+      viewWidth = getViewWidth();
+      width = viewWidth - margin.left - margin.right;
+      svg.attr('viewBox', `0 0 ${viewWidth} 80`);
+      xScale.range([0, width]);
+      xAxisGroup.call(xAxis);
+      shareAxis.attr('transform', `translate(${width},0)`);
+      brush.extent([[0, 0], [width, height]]);
+      brushGroup.call(brush).call(brush.move, selectedRange ? selectedRange.map(xScale) as [number, number] : null);
+      updateScrubber();
+      updateTimelineTotals?.();
+    };
+    
+    // Store update function for filter and mode changes (species / whaling type / timeline mode)
+    updateTimelineTotals = () => {
+      timelineData = getFilteredTimeline();
+      layers = timelineMode === 'total' ? { keys: [], labels: {}, colors: {}, rows: [] } : getTimelineLayers();
+      
+      const stacked = d3.stack<Record<string, number>>()
+        .keys(layers.keys)
+        .value((row, key) => row[key] || 0)(layers.rows);
+      const maxStacked = d3.max(stacked.length > 0 ? stacked[stacked.length - 1] : [], d => d[1]) || 0;
+      yScale.domain([0, Math.max(maxStacked, d3.max(timelineData, d => d.total) || 0) || 1]);
+      
+      svg.classed('stacked', timelineMode !== 'total');
+      totalArea.datum(timelineData).attr('d', area);
+      totalLine.datum(timelineData).attr('d', line);
+      
+      const layerArea = d3.area<d3.SeriesPoint<Record<string, number>>>()
+        .x(d => xScale(d.data.year))
+        .y0(d => yScale(d[0]))
+        .y1(d => yScale(d[1]))
+        .curve(d3.curveMonotoneX);
+      layersGroup.selectAll('path')
+        .data(stacked, (series: any) => series.key)
+        .join('path')
+        .attr('class', 'timeline-layer')
+        .attr('fill', series => layers.colors[series.key])
+        .attr('d', layerArea);
+      
+      legend.selectAll('.timeline-legend-item')
+        .data(layers.keys, (key: any) => key)
+        .join(enter => {
+          const item = enter.append('span').attr('class', 'timeline-legend-item');
+          item.append('i').attr('class', 'timeline-swatch');
+          item.append('span');
+          return item;
+        })
+        .call(items => {
+          items.select('i').style('background', key => layers.colors[key]);
+          items.select('span').text(key => layers.labels[key]);
+        });
+      
+      // Keep the country highlight in the same scale
+      if (countryHighlight) {
+        g.select('.timeline-country-area').datum(countryHighlight).attr('d', area);
+      }
+      
+      // Comparison lines: absolute catches on the main scale, or share of global catches on a % scale
+      const totalsByYear = new Map(timelineData.map(d => [d.year, d.total]));
+      comparison = comparedCountries.map(code => ({
+        code,
+        name: getCountryDisplayName(code),
+        values: getCountryHistory(code).map(d => {
+          const yearTotal = totalsByYear.get(d.year) || 0;
+          return {
+            year: d.year,
+            value: comparisonScale === 'share' ? (yearTotal > 0 ? d.total / yearTotal * 100 : 0) : d.total,
+          };
+        }),
+      }));
+      
+      const isShare = comparisonScale === 'share' && comparison.length > 0;
+      shareScale.domain([0, d3.max(comparison, c => d3.max(c.values, d => d.value)) || 1]);
+      const comparisonY = isShare ? shareScale : yScale;
+      const comparisonLine = d3.line<{ year: number; value: number }>()
+        .x(d => xScale(d.year))
+        .y(d => comparisonY(d.value))
+        .curve(d3.curveMonotoneX);
+      
+      comparisonGroup.selectAll('path')
+        .data(comparison, (c: any) => c.code)
+        .join('path')
+        .attr('class', 'timeline-comparison-line')
+        .attr('stroke', c => comparisonColor(c.code))
+        .attr('d', c => comparisonLine(c.values));
+      
+      shareAxis.classed('visible', isShare);
+      if (isShare) {
+        shareAxis.call(d3.axisRight(shareScale).ticks(3).tickFormat(d => `${d}%`));
+      }
+      
+      // Population overlay (only species in the reference data with estimates)
+      const withEstimates = selectedSpecies
+        .map(code => ({ code, points: speciesStatus(code)?.population || [] }))
+        .filter(series => series.points.length > 0);
+      const populations = showPopulation ? withEstimates : [];
+      root.select('.population-btn')
+        .classed('active', showPopulation)
+        .property('disabled', withEstimates.length === 0)
+        .attr('title', withEstimates.length > 0 ? i18n.t('timeline.populationHint') : i18n.t('timeline.populationNone'));
+      populationScale.domain([0, d3.max(populations, series => d3.max(series.points, d => d.estimate)) || 1]);
+      const populationLine = d3.line<{ year: number; estimate: number }>()
+        .x(d => xScale(d.year))
+        .y(d => populationScale(d.estimate));
+      populationGroup.selectAll<SVGGElement, typeof populations[number]>('g')
+        .data(populations, series => series.code)
+        .join(enter => {
+          const series = enter.append('g');
+          series.append('path').attr('class', 'timeline-population-line');
+          return series;
+        })
+        .attr('color', series => speciesColor(series.code))
+        .call(series => {
+          series.select('path').attr('d', d => populationLine(d.points));
+          series.selectAll('circle')
+            .data(d => d.points)
+            .join('circle')
+            .attr('class', 'timeline-population-point')
+            .attr('r', 3)
+            .attr('cx', d => xScale(d.year))
+            .attr('cy', d => populationScale(d.estimate));
+        });
+      
+      populationAxis.classed('visible', populations.length > 0);
+      if (populations.length > 0) {
+        populationAxis.call(d3.axisLeft(populationScale).ticks(3).tickFormat(value => i18n.formatCompact(value as number)));
+      }
+      
+      updateAnnotations();
+    };
+    
+    // Store update function for country highlight
+    updateTimelineCountryHighlight = (countryData: {year: number; total: number}[] | null) => {
+      countryHighlight = countryData && countryData.length > 0 ? countryData : null;
+      const countryPath = g.select('.timeline-country-area');
+      if (countryData && countryData.length > 0) {
+        countryPath
+          .datum(countryData)
+          .attr('d', area)
+          .classed('highlighted', true);
+      } else {
+        countryPath.classed('highlighted', false);
+      }
+    };
+    
+    // Initial scrubber position and mode
+    updateScrubber();
+    syncTimelineModes();
+  }
+
+  function syncTimelineModes() {
+    root.selectAll<HTMLButtonElement, [TimelineMode, string]>('.timeline-mode-btn')
+      .classed('active', ([mode]) => mode === timelineMode);
+  }
+
+  // Hover, tooltip, pin (click) and compare (shift-click) for map elements standing for a country
+  function bindCountryEvents(selection: d3.Selection<any, any, any, any>, codeOf: (d: any) => string) {
+    selection
+      .on('mouseenter', function(event: MouseEvent, d: any) {
+        const countryCode = codeOf(d);
+        if (countryCode && !touchInput) { // Taps are handled on click
+          setHoveredCountry(countryCode);
+          highlightCountry(countryCode);
+          showTooltip(event, countryCode);
+        }
+      })
+      .on('mousemove', function(event: MouseEvent) {
+        if (!touchInput) positionTooltip(event);
+      })
+      .on('mouseleave', leaveCountry)
+      .on('click', function(event: MouseEvent, d: any) {
+        event.stopPropagation();
+        const countryCode = codeOf(d);
+        // Touch has no hover: the first tap shows the tooltip, a second tap on the same country pins it
+        if (touchInput && !event.shiftKey && countryCode && countryCode !== hoveredCountry) {
+          setHoveredCountry(countryCode);
+          highlightCountry(countryCode);
+          showTooltip(event, countryCode);
+          return;
+        }
+        if (touchInput) hideTooltip();
+        if (event.shiftKey) {
+          if (countryCode && hasCountryData(countryCode)) {
+            toggleComparedCountry(countryCode);
+          }
+          return;
+        }
+        pinCountry(countryCode && countryCode !== pinnedCountry && hasCountryData(countryCode) ? countryCode : null);
+      });
+  }
+
+  // Helper: End a country hover (back to the pinned country, if any)
+  function leaveCountry() {
+    setHoveredCountry(null);
+    if (pinnedCountry) {
+      highlightCountry(pinnedCountry);
+    } else {
+      clearHighlight();
+    }
+    hideTooltip();
+  }
+
+  // Helper: Where a country's bubble goes - the centroid of its largest polygon
+  // (so e.g. France's bubble isn't placed between Europe and French Guiana), with that polygon's area
+  function countryAnchor(feature: any): { coordinates: [number, number]; area: number } | null {
+    const polygons: any[] = feature.geometry?.type === 'MultiPolygon'
+      ? feature.geometry.coordinates.map((coordinates: any) => ({ type: 'Polygon', coordinates }))
+      : [feature.geometry];
+    const largest = d3.greatest(polygons.filter(Boolean), polygon => d3.geoArea(polygon));
+    return largest ? { coordinates: d3.geoCentroid(largest), area: d3.geoArea(largest) } : null;
+  }
+
+  // Helper: Map viewBox size; phones get a squarer map below the header (the page scrolls there)
+  function getMapSize(): [number, number] {
+    const width = element.clientWidth || window.innerWidth;
+    if (options.mapHeight) return [width, options.mapHeight];
+    if (window.innerWidth < MOBILE_BREAKPOINT) return [width, Math.round(width * 0.9)];
+    return [width, Math.max(320, window.innerHeight - 300)]; // Account for header, filters, timeline
+  }
+
+  // Helper: Projection for the map view, fitted to the map size.
+  // The globe and polar views show the whole sphere; the flat map fits the land.
+  function createProjection(type: MapProjection, width: number, height: number, worldFeatures: any): d3.GeoProjection {
+    const extent: [[number, number], [number, number]] = [[10, 10], [width - 10, height - 10]];
+    if (type === 'globe') {
+      return d3.geoOrthographic()
+        .rotate(globeRotation)
+        .fitExtent(extent, { type: 'Sphere' });
+    }
+    if (type === 'polar') {
+      // Centered on the South Pole, out to 30°N so the southern whaling grounds aren't squashed
+      return d3.geoAzimuthalEqualArea()
+        .rotate([0, 90])
+        .clipAngle(120)
+        .fitExtent(extent, { type: 'Sphere' });
+    }
+    return d3.geoNaturalEarth1()
+      .fitSize([width, height], worldFeatures?.features?.length > 0 ? worldFeatures : { type: 'FeatureCollection', features: [] });
+  }
+
+  // Helper: Screen position of a point, or null when it is on the hidden side of a globe/polar view
+  function projectVisible(projection: d3.GeoProjection, coordinates: [number, number]): [number, number] | null {
+    const clipAngle = projection.clipAngle();
+    if (clipAngle) {
+      const [lambda, phi] = projection.rotate();
+      if (d3.geoDistance(coordinates, [-lambda, -phi]) > clipAngle * Math.PI / 180) return null;
+    }
+    return projection(coordinates);
+  }
+
+  function createMap(container: d3.Selection<any, unknown, null, undefined>) {
+    const mapDiv = container.append('div').attr('class', 'map-container');
+    
+    let [width, height] = getMapSize();
+    
+    const svg = mapDiv.append('svg')
+      .attr('class', 'map-svg')
+      .attr('viewBox', `0 0 ${width} ${height}`)
+      .attr('role', 'group')
+      .attr('aria-label', i18n.t('map.label'));
+    
+    // Extract world map features (do once, reuse)
+    let worldFeatures: any = null;
+    try {
+      worldFeatures = feature(worldTopo, worldTopo.objects.countries as any);
+    } catch (error) {
+      console.error('Error extracting world features:', error);
+    }
+    
+    // Projection (flat, globe or south-polar; switched by setMapProjection)
+    let projection = createProjection(mapProjection, width, height, worldFeatures);
+    const path = d3.geoPath().projection(projection);
+    
+    // Everything geographic goes in one group that pans and zooms together
+    const zoomLayer = svg.append('g').attr('class', 'map-zoom-layer');
+    
+    // Ocean disc and graticule (globe and polar views only)
+    const sphere = zoomLayer.append('path').attr('class', 'map-sphere').datum({ type: 'Sphere' });
+    const graticule = zoomLayer.append('path').attr('class', 'map-graticule').datum(d3.geoGraticule10());
+    
+    // Draw countries
+    const countries = zoomLayer.append('g').attr('class', 'countries');
+    
+    try {
+      
+      if (worldFeatures && worldFeatures.features && worldFeatures.features.length > 0) {
+        countries.selectAll('path')
+          .data(worldFeatures.features)
+          .enter()
+          .append('path')
+          .attr('class', 'country')
+          .attr('d', path as any)
+          // Initial fill handled by CSS - will be updated by updateVisualization
+          .call(bindCountryEvents, getCountryCode)
+          .on('blur', leaveCountry)
+          // Keyboard: focus shows the tooltip next to the country, Enter/Space act like a click
+          .on('focus', function(this: SVGPathElement, _event: FocusEvent, d: any) {
+            const countryCode = getCountryCode(d);
+            if (countryCode) {
+              setHoveredCountry(countryCode);
+              highlightCountry(countryCode);
+              showTooltip(elementCenter(this), countryCode);
+            }
+          })
+          .on('keydown', function(this: SVGPathElement, event: KeyboardEvent) {
+            if (event.key !== 'Enter' && event.key !== ' ') return;
+            event.preventDefault();
+            this.dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: event.shiftKey }));
+          })
+          ;
+        
+        // Click on the ocean to unpin
+        svg.on('click', () => pinCountry(null));
+        
+        console.log('Map countries created:', countries.selectAll('path').size());
+      } else {
+        // No map data - show message
+        svg.append('text')
+          .attr('x', width / 2)
+          .attr('y', height / 2)
+          .attr('text-anchor', 'middle')
+          .attr('fill', 'var(--text-muted)')
+          .text(i18n.t('map.unavailable'));
+      }
+    } catch (error) {
+      console.error('Error rendering map:', error);
+      svg.append('text')
+        .attr('x', width / 2)
+        .attr('y', height / 2)
+        .attr('text-anchor', 'middle')
+        .attr('fill', 'var(--text-muted)')
+        .text(i18n.t('map.error'));
+    }
+    
+    // Catch areas layer: proportional circles at ocean-area centroids (sized by updateVisualization)
+    const areas = zoomLayer.append('g').attr('class', 'catch-areas');
+    areas.selectAll('circle')
+      .data(Object.entries(data.metadata.areas || {}))
+      .enter()
+      .append('circle')
+      .attr('class', 'catch-area')
+      .attr('r', 0)
+      .on('mouseenter', function(event: MouseEvent, [code]: [string, CatchArea]) {
+        showAreaTooltip(event, code);
+      })
+      .on('mousemove', function(event: MouseEvent) {
+        positionTooltip(event);
+      })
+      .on('mouseleave', function() {
+        hideTooltip();
+      });
+    
+    // Country bubbles (sized by updateBubbleLayer), anchored once per map feature
+    const bubbles = zoomLayer.append('g').attr('class', 'country-bubbles');
+    const anchors = new Map<string, { coordinates: [number, number]; area: number }>();
+    (worldFeatures?.features || []).forEach((d: any) => {
+      const code = getCountryCode(d);
+      const anchor = code && countryAnchor(d);
+      if (anchor) anchors.set(code, anchor);
+    });
+    
+    // Draw everything that depends on the projection (again after a rotation or projection switch)
+    function redraw() {
+      svg.classed('projection-sphere', mapProjection !== 'flat');
+      sphere.attr('d', path as any);
+      graticule.attr('d', path as any);
+      countries.selectAll<SVGPathElement, any>('path.country').attr('d', path as any);
+      areas.selectAll<SVGCircleElement, [string, CatchArea]>('circle.catch-area').each(function([_, area]) {
+        const point = projectVisible(projection, [area.lon, area.lat]);
+        d3.select(this)
+          .attr('cx', point?.[0] ?? 0)
+          .attr('cy', point?.[1] ?? 0)
+          .attr('display', point ? null : 'none');
+      });
+      updateBubbleLayer();
+    }
+    mapProjectPoint = (coordinates: [number, number]) => projectVisible(projection, coordinates);
+    
+    // Pan and zoom; strokes and symbols keep their on-screen size
+    const zoomControls = mapDiv.append('div').attr('class', 'map-zoom-controls');
+    const zoom = d3.zoom<SVGSVGElement, unknown>()
+      // Dragging rotates the globe instead of panning it
+      .filter((event: any) => (mapProjection !== 'globe' || event.type === 'wheel') && (!event.ctrlKey || event.type === 'wheel') && !event.button)
+      .extent([[0, 0], [width, height]])
+      .scaleExtent([1, 12])
+      .translateExtent([[0, 0], [width, height]])
+      .on('start', () => svg.classed('zooming', true))
+      .on('zoom', (event: d3.D3ZoomEvent<SVGSVGElement, unknown>) => {
+        zoomLayer.attr('transform', event.transform.toString());
+        if (event.transform.k !== mapZoomScale) {
+          mapZoomScale = event.transform.k;
+          updateAreaLayer();
+          updateBubbleLayer();
+        }
+        zoomControls.select('[data-zoom="reset"]').property('disabled', event.transform.k === 1 && event.transform.x === 0 && event.transform.y === 0);
+      })
+      .on('end', () => svg.classed('zooming', false));
+    svg.call(zoom).on('dblclick.zoom', null); // Double-click stays a country click
+    mapZoomScale = 1;
+    
+    // Globe rotation by dragging (slower when zoomed in, so the surface follows the pointer)
+    svg.call(d3.drag<SVGSVGElement, unknown>()
+      .filter((event: any) => mapProjection === 'globe' && !event.button)
+      .on('start', () => svg.classed('zooming', true))
+      .on('drag', (event: d3.D3DragEvent<SVGSVGElement, unknown, unknown>) => {
+        const degreesPerPixel = 180 / (Math.PI * projection.scale() * mapZoomScale);
+        globeRotation = [
+          globeRotation[0] + event.dx * degreesPerPixel,
+          Math.max(-90, Math.min(90, globeRotation[1] - event.dy * degreesPerPixel)),
+        ];
+        projection.rotate(globeRotation);
+        redraw();
+      })
+      .on('end', () => svg.classed('zooming', false)));
+    
+    // Switch projection (from the selector or back/forward); the zoom starts over
+    setMapProjection = (type: MapProjection) => {
+      mapProjection = type;
+      projection = createProjection(mapProjection, width, height, worldFeatures);
+      path.projection(projection);
+      svg.call(zoom.transform, d3.zoomIdentity);
+      redraw();
+      syncProjectionSelect();
+    };
+    
+    // Refit to a new window size (rotation, zoom, pins and open panels are kept)
+    resizeMap = () => {
+      [width, height] = getMapSize();
+      svg.attr('viewBox', `0 0 ${width} ${height}`);
+      projection = createProjection(mapProjection, width, height, worldFeatures);
+      path.projection(projection);
+      zoom.extent([[0, 0], [width, height]]).translateExtent([[0, 0], [width, height]]);
+      svg.call(zoom.transform, d3.zoomTransform(svg.node()!)); // Re-clamp the pan to the new extent
+      redraw();
+    };
+    
+    zoomControls.selectAll('button')
+      .data([['in', '+', i18n.t('map.zoomIn')], ['out', '−', i18n.t('map.zoomOut')], ['reset', '⟲', i18n.t('map.zoomReset')]])
+      .join('button')
+      .attr('class', 'playback-btn')
+      .attr('data-zoom', ([action]) => action)
+      .attr('title', ([_, __, title]) => title)
+      .attr('aria-label', ([_, __, title]) => title)
+      .property('disabled', ([action]) => action === 'reset')
+      .text(([_, label]) => label)
+      .on('click', (_event: MouseEvent, [action]: string[]) => {
+        const transition = svg.transition().duration(300);
+        if (action === 'reset') {
+          transition.call(zoom.transform, d3.zoomIdentity);
+        } else {
+          transition.call(zoom.scaleBy, action === 'in' ? 2 : 0.5);
+        }
+      });
+    
+    // Layer toggle (only if the data carries catch areas), plus bubbles for the countries layer
+    const layerToggle = mapDiv.append('div').attr('class', 'map-layer-toggle');
+    if (Object.keys(data.metadata.areas || {}).length > 0) {
+      const layers: [typeof mapLayer, string][] = [['countries', i18n.t('map.countries')], ['areas', i18n.t('map.areas')]];
+      layerToggle.selectAll('button')
+        .data(layers)
+        .enter()
+        .append('button')
+        .attr('class', 'filter-btn map-layer-btn')
+        .classed('active', ([layer]) => layer === mapLayer)
+        .text(([_, label]) => label)
+        .on('click', function(_event: MouseEvent, [layer]: [typeof mapLayer, string]) {
+          mapLayer = layer;
+          syncLayerToggle();
+          updateVisualization();
+        });
+    }
+    layerToggle.append('select')
+      .attr('class', 'control-select projection-select')
+      .attr('title', i18n.t('map.projection'))
+      .attr('aria-label', i18n.t('map.projection'))
+      .on('change', function(this: HTMLSelectElement) {
+        setMapProjection!(this.value as MapProjection);
+        updateUrl();
+      })
+      .selectAll('option')
+      .data(MAP_PROJECTIONS)
+      .join('option')
+      .attr('value', ([type]) => type)
+      .property('selected', ([type]) => type === mapProjection)
+      .text(([_, label]) => i18n.t(label));
+    layerToggle.append('button')
+      .attr('class', 'filter-btn bubbles-btn')
+      .attr('title', i18n.t('map.bubblesHint'))
+      .attr('aria-pressed', String(countryBubbles))
+      .classed('active', countryBubbles)
+      .text(i18n.t('map.bubbles'))
+      .on('click', () => {
+        countryBubbles = !countryBubbles;
+        syncLayerToggle();
+        updateVisualization();
+      });
+    
+    // Legend (filled by updateLegend) with scale, palette and fixed-domain controls
+    const legend = mapDiv.append('div').attr('class', 'legend');
+    legend.append('div').attr('class', 'legend-label legend-title');
+    legend.append('svg').attr('class', 'legend-scale').attr('viewBox', `0 0 ${LEGEND_WIDTH + 20} 28`);
+    const legendControls = legend.append('div').attr('class', 'legend-controls');
+    legendControls.append('select')
+      .attr('class', 'control-select legend-scale-type')
+      .attr('title', i18n.t('legend.scale'))
+      .on('change', function(this: HTMLSelectElement) {
+        colorScaleType = this.value as ColorScaleType;
+        updateVisualization();
+      })
+      .selectAll('option')
+      .data(COLOR_SCALE_TYPES)
+      .join('option')
+      .attr('value', type => type)
+      .text(type => i18n.t(`legend.${type}`));
+    legendControls.append('select')
+      .attr('class', 'control-select legend-palette')
+      .attr('title', i18n.t('legend.palette'))
+      .on('change', function(this: HTMLSelectElement) {
+        colorPalette = this.value;
+        updateVisualization();
+      })
+      .selectAll('option')
+      .data(Object.entries(PALETTES))
+      .join('option')
+      .attr('value', ([key]) => key)
+      .text(([key, palette]) => palette.colorblindSafe ? i18n.t('legend.colorblindSafe', { name: i18n.t(`legend.${key}`) }) : i18n.t(`legend.${key}`));
+    const fixedLabel = legendControls.append('label')
+      .attr('class', 'legend-fixed')
+      .attr('title', i18n.t('legend.fixedHint'));
+    fixedLabel.append('input')
+      .attr('type', 'checkbox')
+      .on('change', function(this: HTMLInputElement) {
+        fixedColorDomain = this.checked;
+        updateVisualization();
+      });
+    fixedLabel.append('span').text(i18n.t('legend.fixed'));
+    syncLegendControls();
+    
+    // Comparison table (filled by updateComparisonTable)
+    mapDiv.append('div').attr('class', 'comparison-panel');
+    
+    // Country ranking (filled by updateRankingPanel), toggled from the top-right button
+    mapDiv.classed('ranking-open', rankingOpen);
+    mapDiv.append('button')
+      .attr('class', 'filter-btn ranking-toggle')
+      .attr('aria-controls', uid('ranking-panel'))
+      .attr('aria-expanded', String(rankingOpen))
+      .classed('active', rankingOpen)
+      .text(i18n.t('ranking.button'))
+      .on('click', () => {
+        rankingOpen = !rankingOpen;
+        mapDiv.classed('ranking-open', rankingOpen);
+        root.select('.ranking-toggle').classed('active', rankingOpen).attr('aria-expanded', String(rankingOpen));
+        updateRankingPanel();
+      });
+    const rankingPanel = mapDiv.append('div').attr('class', 'ranking-panel').attr('id', uid('ranking-panel'));
+    const rankingHeader = rankingPanel.append('div').attr('class', 'comparison-header');
+    rankingHeader.append('span').attr('class', 'tooltip-label ranking-title');
+    rankingHeader.append('span').attr('class', 'comparison-controls')
+      .selectAll('button')
+      .data([['period', i18n.t('ranking.shown')], ['all', i18n.t('ranking.allTime')]] as [typeof rankingScope, string][])
+      .join('button')
+      .attr('class', 'comparison-btn')
+      .attr('data-scope', ([scope]) => scope)
+      .text(([_, label]) => label)
+      .on('click', (_event: MouseEvent, [scope]: [typeof rankingScope, string]) => {
+        rankingScope = scope;
+        updateRankingPanel();
+      });
+    const rankingTable = rankingPanel.append('table').attr('class', 'comparison-table ranking-table');
+    rankingTable.append('thead').append('tr')
+      .selectAll('th')
+      .data(RANKING_COLUMNS)
+      .join('th')
+      .attr('scope', 'col')
+      .append('button')
+      .attr('class', 'ranking-sort')
+      .text(([_, label]) => i18n.t(label))
+      .on('click', (_event: MouseEvent, [key]: [RankingSortKey, string]) => {
+        // Same column flips the direction; a new one starts with the biggest values (A-Z for names)
+        rankingSort = rankingSort.key === key
+          ? { key, descending: !rankingSort.descending }
+          : { key, descending: key !== 'name' };
+        updateRankingPanel();
+      });
+    rankingTable.select('thead tr').append('th').attr('scope', 'col').attr('class', 'ranking-spark-header').text(i18n.t('ranking.history'));
+    rankingTable.append('tbody');
+    
+    // Pinned country detail panel (filled by updateCountryPanel)
+    mapDiv.append('div').attr('class', 'country-panel');
+    
+    // Stats
+    const stats = mapDiv.append('div').attr('class', 'stats');
+    stats.append('div').attr('class', 'stat-value stat-total').text('0');
+    stats.append('div').attr('class', 'stat-label');
+    
+    // Store for updates
+    mapCountries = countries;
+    mapAreas = areas;
+    mapBubbles = bubbles;
+    mapAnchors = anchors;
+    redraw();
+    
+    const pathCount = countries.selectAll('path').size();
+    console.log('Map created, countries selection stored:', pathCount, 'paths');
+    
+    // If paths exist, trigger initial color update
+    if (pathCount > 0 && data) {
+      console.log('Map paths ready, triggering initial color update');
+      updateVisualization();
+    }
+  }
+
+  function updateVisualization() {
+    // Catches per reporting nation for the current year, filtered by selected species and whaling types
+    const catchesByCountry = dataIndex.catchesByCountry(currentYear, currentFilter());
+    
+    // Calculate totals for the year or brushed range (including nations without a map code)
+    const periodYears = new Set(getPeriodYears());
+    const totalCatches = d3.sum(getFilteredTimeline().filter(d => periodYears.has(d.year)), d => d.total);
+    root.select('.stat-total').text(i18n.formatNumber(totalCatches));
+    root.select('.stat-label').text(selectedRange ? i18n.t('stats.period', { period: getPeriodLabel() }) : i18n.t('stats.year', { year: i18n.formatYear(currentYear) }));
+    
+    // Update map colors
+    const countries = mapCountries;
+    if (!countries) {
+      console.warn('Map countries not available yet');
+      return;
+    }
+    
+    const paths = countries.selectAll('path.country');
+    const pathCount = paths.size();
+    
+    if (pathCount === 0) {
+      console.warn('No country paths found to color');
+      return;
+    }
+    
+    // Catches drawn on each map feature (cumulative over a brushed range), following the
+    // territory attribution rules (e.g. Greenland drawn with Denmark, USSR catches across its successor states)
+    const catchesByFeature = new Map<string, number>();
+    paths.each((d: any) => {
+      const code = getCountryCode(d);
+      if (code) {
+        catchesByFeature.set(code, getPeriodCatches(code).total);
+      }
+    });
+    
+    const maxCatches = d3.max(Array.from(catchesByFeature.values())) || 1;
+    
+    // Color scale over this year's (or range's) values, or over all years when the domain is fixed
+    const colorScale = createMapColorScale(
+      colorScaleType,
+      colorPalette,
+      fixedColorDomain ? getFixedDomainValues(Array.from(catchesByFeature.keys())) : Array.from(catchesByFeature.values()),
+      i18n.formatCompact
+    );
+    mapColorScale = colorScale;
+    updateLegend();
+    
+    let coloredCount = 0;
+    let noCodeCount = 0;
+    let noDataCount = 0;
+    
+    paths.each(function(this: SVGPathElement, d: any) {
+      const code = getCountryCode(d);
+      const path = d3.select(this);
+      
+      if (!code) {
+        path.style('fill', null);
+        path.attr('fill', null); // Let CSS handle default
+        path.classed('whaling', false);
+        noCodeCount++;
+        return;
+      }
+      
+      const catches = catchesByFeature.get(code) || 0;
+      
+      // Countries with records are focusable, labelled with the shown period's catches
+      const focusable = hasCountryData(code);
+      path
+        .attr('tabindex', focusable ? 0 : null)
+        .attr('role', focusable ? 'button' : null)
+        .attr('aria-label', focusable ? i18n.t('map.countryLabel', { name: d.properties?.name || getCountryDisplayName(code), count: i18n.formatNumber(catches), period: getPeriodLabel() }) : null)
+        .attr('aria-pressed', focusable ? String(code === pinnedCountry) : null);
+      
+      if (catches > 0 && mapLayer === 'countries' && !countryBubbles) {
+        const color = colorScale.color(catches);
+        // Set style with !important to ensure it overrides CSS
+        path.style('fill', color, 'important');
+        path.classed('whaling', true);
+        coloredCount++;
+        // Log first few colored countries for debugging
+        if (coloredCount <= 5) {
+          console.log(`Colored ${code}: ${catches} catches → ${color}`);
+        }
+      } else {
+        // Use CSS variable for default color by removing style
+        path.style('fill', null);
+        path.attr('fill', null); // Also clear attribute just in case
+        path.classed('whaling', false);
+        noDataCount++;
+      }
+    });
+    
+    console.log('Map colors updated:', {
+      pathCount,
+      coloredCount,
+      noCodeCount,
+      noDataCount,
+      countriesWithCatches: catchesByCountry.size,
+      maxCatches,
+      sampleCountries: Array.from(catchesByCountry.entries()).slice(0, 5).map(([code, catches]) => `${code}:${catches.total}`)
+    });
+    
+    // Show either the country choropleth or the catch area circles
+    root.select('.map-svg')
+      .classed('layer-areas', mapLayer === 'areas')
+      .classed('layer-bubbles', mapLayer === 'countries' && countryBubbles);
+    updateAreaLayer();
+    updateBubbleLayer(catchesByFeature);
+    
+    // Rescale the global timeline to the active filters
+    updateTimelineTotals?.();
+    
+    // Update timeline country highlight if hovering or pinned
+    mapCountries.selectAll('path.country')
+      .classed('pinned', (d: any) => !!pinnedCountry && getCountryUnit(pinnedCountry).includes(getCountryCode(d)));
+    if (hoveredCountry || pinnedCountry) {
+      highlightCountry(hoveredCountry || pinnedCountry!);
+    }
+    mapCountries.selectAll('path.country')
+      .each(function(this: SVGPathElement, d: any) {
+        const compared = comparedCountries.find(code => getCountryUnit(code).includes(getCountryCode(d)));
+        d3.select(this)
+          .classed('compared', !!compared)
+          .style('stroke', compared ? comparisonColor(compared) : null);
+      });
+    updateCountryPanel();
+    updateComparisonTable();
+    updateRankingPanel();
+    updateDataTable();
+    
+    updateUrl();
+  }
+
+  // Move the scrubber, map and stats to a year (clamped to the data range)
+  function setYear(year: number) {
+    currentYear = clampYear(year);
+    selectedRange = null; // Picking a single year ends a brushed range
+    updateTimelineScrubber?.();
+    updateVisualization();
+  }
+
+  // Show cumulative catches over a year range (null = back to the current year)
+  function setRange(range: [number, number] | null) {
+    stopPlayback();
+    selectedRange = range ? [clampYear(Math.min(...range)), clampYear(Math.max(...range))] : null;
+    updateTimelineScrubber?.();
+    updateVisualization();
+  }
+
+  // Helper: Year `steps` entries away from the current one in metadata.years
+  function stepYear(steps: number): number {
+    const years = data.metadata.years;
+    const index = years.indexOf(currentYear);
+    return years[Math.max(0, Math.min(years.length - 1, index + steps))];
+  }
+
+  function startPlayback() {
+    stopPlayback();
+    const wasRange = !!selectedRange;
+    selectedRange = null; // Playback steps through single years
+    const years = data.metadata.years;
+    if (currentYear === years[years.length - 1]) {
+      setYear(years[0]); // Replay from the start
+    }
+    
+    // Let map fills ease over most of each step
+    root.select('.map-container').style('--fill-transition', `${Math.round(playbackInterval * 0.8)}ms`);
+    root.select('.play-btn').text('❚❚').attr('title', i18n.t('timeline.pause')).classed('active', true);
+    
+    playbackTimer = window.setInterval(() => {
+      if (currentYear === years[years.length - 1]) {
+        if (playbackLoop) {
+          setYear(years[0]);
+        } else {
+          stopPlayback();
+        }
+        return;
+      }
+      setYear(stepYear(1));
+    }, playbackInterval);
+    updateTimelineScrubber?.();
+    if (wasRange) {
+      updateVisualization();
+    }
+  }
+
+  function stopPlayback() {
+    if (playbackTimer) {
+      clearInterval(playbackTimer);
+      playbackTimer = null;
+      updateUrl(); // Record where playback stopped
+    }
+    root.select('.map-container').style('--fill-transition', null);
+    root.select('.play-btn').text('▶').attr('title', i18n.t('timeline.play')).classed('active', false);
+  }
+
+  function togglePlayback() {
+    if (playbackTimer) {
+      stopPlayback();
+    } else {
+      startPlayback();
+    }
+  }
+
+  // Keyboard stepping: arrows = 1 year, PageUp/PageDown = 10 years, Home/End = first/last year.
+  // The standalone page takes the keys anywhere; an embedded widget only while it has focus
+  (syncUrl ? document.documentElement : element).addEventListener('keydown', (event: KeyboardEvent) => {
+    if (!data || event.altKey || event.ctrlKey || event.metaKey) return;
+    const target = event.target as HTMLElement;
+    if (target.closest('input, select, textarea, a') || root.select('.about-dialog').classed('visible')) return;
+    
+    const years = data.metadata.years;
+    const keyYears: Record<string, () => number> = {
+      ArrowLeft: () => stepYear(-1),
+      ArrowRight: () => stepYear(1),
+      PageDown: () => clampYear(currentYear - 10),
+      PageUp: () => clampYear(currentYear + 10),
+      Home: () => years[0],
+      End: () => years[years.length - 1],
+    };
+    if (!keyYears[event.key]) return;
+    
+    event.preventDefault();
+    stopPlayback();
+    setYear(keyYears[event.key]());
+  }, { signal: lifetime.signal });
+
+  // Redraw the map legend (color bar and numeric ticks) for the current color scale
+  function updateLegend() {
+    if (!mapColorScale) return;
+    const { stops, discrete, ticks } = mapColorScale.legend;
+    root.select('.legend-title').text(selectedRange ? i18n.t('legend.titlePeriod', { period: getPeriodLabel() }) : i18n.t('legend.title'));
+    
+    const svg = root.select('.legend-scale');
+    const bar = svg.selectAll<SVGGElement, null>('g.legend-bar').data([null]).join('g')
+      .attr('class', 'legend-bar')
+      .attr('transform', 'translate(10, 0)');
+    
+    // Discrete classes as blocks, continuous scales as a gradient
+    const gradient = svg.selectAll<SVGDefsElement, null>('defs').data([null]).join('defs')
+      .selectAll<SVGLinearGradientElement, null>('linearGradient').data([null]).join('linearGradient')
+      .attr('id', uid('legend-gradient'));
+    gradient.selectAll('stop')
+      .data(discrete ? [] : stops)
+      .join('stop')
+      .attr('offset', (_, i) => i / (stops.length - 1))
+      .attr('stop-color', d => d);
+    bar.selectAll('rect.legend-block')
+      .data(discrete ? stops : [`url(#${uid('legend-gradient')})`])
+      .join('rect')
+      .attr('class', 'legend-block')
+      .attr('x', (_, i, nodes) => i * LEGEND_WIDTH / nodes.length)
+      .attr('width', (_, i, nodes) => LEGEND_WIDTH / nodes.length)
+      .attr('height', 8)
+      .attr('fill', d => d);
+    
+    const tick = bar.selectAll<SVGGElement, { offset: number; label: string }>('g.legend-tick')
+      .data(ticks)
+      .join(enter => {
+        const g = enter.append('g').attr('class', 'legend-tick');
+        g.append('line').attr('y1', 8).attr('y2', 12);
+        g.append('text').attr('y', 22).attr('text-anchor', 'middle');
+        return g;
+      })
+      .attr('transform', d => `translate(${d.offset * LEGEND_WIDTH}, 0)`);
+    tick.select('text').text(d => d.label);
+  }
+
+  // Helper: Reflect the color scale state in the legend controls
+  function syncLegendControls() {
+    root.select<HTMLSelectElement>('.legend-scale-type').property('value', colorScaleType);
+    root.select<HTMLSelectElement>('.legend-palette').property('value', colorPalette);
+    root.select<HTMLInputElement>('.legend-fixed input').property('checked', fixedColorDomain);
+  }
+
+  // About dialog: focus moves into the dialog and back to the opener when it closes
+  let aboutOpener: HTMLElement | null = null;
+  function openAboutDialog() {
+    aboutOpener = document.activeElement as HTMLElement | null;
+    root.select('.about-dialog').classed('visible', true).attr('aria-hidden', 'false');
+    (root.select('.about-close').node() as HTMLElement | null)?.focus();
+  }
+
+  function closeAboutDialog() {
+    root.select('.about-dialog').classed('visible', false).attr('aria-hidden', 'true');
+    aboutOpener?.focus();
+    aboutOpener = null;
+  }
+
+  // Fill the data table with the shown period's catches per country (only while it is open)
+  function updateDataTable() {
+    const panel = root.select('.data-table-panel');
+    if (panel.empty() || panel.property('hidden')) return;
+    
+    const periodYears = new Set(getPeriodYears());
+    const grandTotal = d3.sum(getFilteredTimeline().filter(d => periodYears.has(d.year)), d => d.total);
+    const rows = Array.from(dataIndex.nationTotals(currentFilter()))
+      .map(([country, { byYear }]) => ({
+        country,
+        total: d3.sum(Array.from(periodYears), year => byYear.get(year) || 0),
+      }))
+      .filter(row => row.total > 0)
+      .sort((a, b) => b.total - a.total);
+    
+    // Species per nation over the period, from the raw records
+    const speciesByNation = new Map<string, Record<string, number>>();
+    periodYears.forEach(year => {
+      dataIndex.countriesInYear(year).forEach(record => {
+        const species = speciesByNation.get(record.country) || {};
+        Object.entries(filterCatches(record).species).forEach(([code, count]) => {
+          species[code] = (species[code] || 0) + count;
+        });
+        speciesByNation.set(record.country, species);
+      });
+    });
+    
+    root.select('.data-table-caption').text(i18n.t('table.caption', { period: getPeriodLabel(), filters: describeFilters() }));
+    root.select('.data-table tbody')
+      .selectAll('tr')
+      .data(rows, (d: any) => d.country)
+      .join(enter => {
+        const tr = enter.append('tr');
+        tr.append('th').attr('scope', 'row');
+        tr.append('td');
+        tr.append('td');
+        tr.append('td');
+        return tr;
+      })
+      .order()
+      .each(function(this: HTMLTableRowElement, row) {
+        const species = Object.entries(speciesByNation.get(row.country) || {})
+          .filter(([_, count]) => count > 0)
+          .sort((a, b) => b[1] - a[1])
+          .map(([code, count]) => `${speciesLabel(code)} ${i18n.formatNumber(count)}`);
+        const cells = d3.select(this).selectAll<HTMLElement, unknown>('th, td').nodes();
+        cells[0].textContent = i18n.nationName(row.country);
+        cells[1].textContent = i18n.formatNumber(row.total);
+        cells[2].textContent = grandTotal > 0 ? i18n.formatPercent(row.total / grandTotal * 100) : '–';
+        cells[3].textContent = species.join(', ');
+      });
+  }
+
+  // Helper: Reflect the projection in the selector
+  function syncProjectionSelect() {
+    root.select<HTMLSelectElement>('.projection-select').property('value', mapProjection);
+  }
+
+  function syncLayerToggle() {
+    root.selectAll<HTMLButtonElement, [string, string]>('.map-layer-btn')
+      .classed('active', ([layer]) => layer === mapLayer);
+    root.select('.bubbles-btn')
+      .classed('active', countryBubbles)
+      .attr('aria-pressed', String(countryBubbles));
+  }
+
+  // Helper: Whether a country (or its related countries) has any catch records
+  function hasCountryData(countryCode: string): boolean {
+    return dataIndex.hasMapData(countryCode);
+  }
+
+  // Pin a country (null to unpin): keeps it highlighted and puts it in the URL
+  function pinCountry(countryCode: string | null) {
+    if (countryCode === pinnedCountry) return;
+    pinnedCountry = countryCode;
+    events.call('select', undefined, pinnedCountry);
+    if (!pinnedCountry && !hoveredCountry) {
+      clearHighlight();
+    }
+    updateVisualization();
+  }
+
+  // URL state: ?lang=ja&year=1995&species=Mi:C,Fin&type=commercial&country=NOR&view=areas&symbols=bubbles&projection=globe&timeline=species&compare=NOR,JPN&population=1&scale=log&palette=viridis&domain=fixed
+  function readUrlState(search: string) {
+    const params = new URLSearchParams(search);
+    
+    const year = parseInt(params.get('year') || '', 10);
+    currentYear = clampYear(Number.isNaN(year) ? data.metadata.years[data.metadata.years.length - 1] : year);
+    
+    selectedSpecies = parseCodeList(params.get('species'), data.metadata.species, 'species');
+    selectedTypes = parseCodeList(params.get('type'), data.metadata.types || {}, 'whaling type');
+    
+    const country = params.get('country')?.toUpperCase() || null;
+    pinnedCountry = country && hasCountryData(country) ? country : null;
+    if (country && !pinnedCountry) {
+      console.warn(`⚠️  Ignoring unknown country in URL: ${country}`);
+    }
+    
+    const hasAreas = Object.keys(data.metadata.areas || {}).length > 0;
+    mapLayer = params.get('view') === 'areas' && hasAreas ? 'areas' : 'countries';
+    countryBubbles = params.get('symbols') === 'bubbles';
+    const projection = MAP_PROJECTIONS.find(([type]) => type === params.get('projection'));
+    mapProjection = projection ? projection[0] : 'flat';
+    
+    const compare = (params.get('compare') || '').split(',').map(code => code.toUpperCase()).filter(code => code !== '');
+    comparedCountries = Array.from(new Set(compare.filter(hasCountryData))).slice(-MAX_COMPARED_COUNTRIES);
+    comparisonScale = params.get('compareBy') === 'share' ? 'share' : 'absolute';
+    showPopulation = params.get('population') === '1';
+    
+    const range = (params.get('range') || '').match(/^(\d{4})-(\d{4})$/);
+    selectedRange = range
+      ? [clampYear(Math.min(+range[1], +range[2])), clampYear(Math.max(+range[1], +range[2]))]
+      : null;
+    
+    const mode = TIMELINE_MODES.find(([m]) => m === params.get('timeline'));
+    timelineMode = mode ? mode[0] : 'total';
+    
+    const scale = COLOR_SCALE_TYPES.find(type => type === params.get('scale'));
+    colorScaleType = scale || 'linear';
+    const palette = params.get('palette') || '';
+    colorPalette = palette in PALETTES ? palette : 'reds';
+    fixedColorDomain = params.get('domain') === 'fixed';
+  }
+
+  // Helper: Parse a comma-separated code list, dropping codes the data doesn't know
+  function parseCodeList(value: string | null, known: Record<string, string>, label: string): string[] {
+    if (!value) return [];
+    const codes = value.split(',').filter(code => code !== '');
+    const unknown = codes.filter(code => !(code in known));
+    if (unknown.length > 0) {
+      console.warn(`⚠️  Ignoring unknown ${label} in URL: ${unknown.join(', ')}`);
+    }
+    return Array.from(new Set(codes.filter(code => code in known)));
+  }
+
+  // Helper: Current URL with the view state applied (other query params are kept)
+  function buildUrl(): string {
+    const params = new URLSearchParams(window.location.search);
+    params.set('year', String(currentYear));
+    const setOrDelete = (key: string, value: string | null) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    };
+    setOrDelete('range', selectedRange ? selectedRange.join('-') : null);
+    setOrDelete('species', selectedSpecies.join(','));
+    setOrDelete('type', selectedTypes.join(','));
+    setOrDelete('country', pinnedCountry);
+    setOrDelete('view', mapLayer === 'areas' ? 'areas' : null);
+    setOrDelete('symbols', countryBubbles ? 'bubbles' : null);
+    setOrDelete('projection', mapProjection !== 'flat' ? mapProjection : null);
+    setOrDelete('timeline', timelineMode !== 'total' ? timelineMode : null);
+    setOrDelete('compare', comparedCountries.join(','));
+    setOrDelete('compareBy', comparedCountries.length > 0 && comparisonScale === 'share' ? 'share' : null);
+    setOrDelete('population', showPopulation ? '1' : null);
+    setOrDelete('scale', colorScaleType !== 'linear' ? colorScaleType : null);
+    setOrDelete('palette', colorPalette !== 'reds' ? colorPalette : null);
+    setOrDelete('domain', fixedColorDomain ? 'fixed' : null);
+    setOrDelete('lang', i18n.locale !== 'en' ? i18n.locale : null);
+    return `${window.location.pathname}?${params}${window.location.hash}`;
+  }
+
+  // Push a history entry once the state settles (so scrubbing and playback don't flood history)
+  let urlPushTimeout: number | null = null;
+  let restoringUrlState = false;
+  function updateUrl() {
+    if (!syncUrl || restoringUrlState || playbackTimer) return;
+    if (urlPushTimeout) {
+      clearTimeout(urlPushTimeout);
+    }
+    urlPushTimeout = window.setTimeout(() => {
+      urlPushTimeout = null;
+      const url = buildUrl();
+      if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        history.pushState(null, '', url);
+      }
+    }, 400);
+  }
+
+  // Browser back/forward: restore the view from the URL
+  window.addEventListener('popstate', () => {
+    if (!data || !syncUrl) return;
+    stopPlayback();
+    if (urlPushTimeout) {
+      clearTimeout(urlPushTimeout);
+      urlPushTimeout = null;
+    }
+    const locale = detectLocale(window.location.search);
+    if (locale !== i18n.locale) {
+      // Everything is rebuilt in the other language from the restored state
+      i18n = createTranslator(locale);
+      applyPageLocale(locale);
+      readUrlState(window.location.search);
+      restoringUrlState = true;
+      render();
+      restoringUrlState = false;
+      return;
+    }
+    const previousProjection = mapProjection;
+    readUrlState(window.location.search);
+    if (mapProjection !== previousProjection) {
+      setMapProjection?.(mapProjection);
+    }
+    filterRowSyncs.forEach(sync => sync());
+    syncLayerToggle();
+    syncLegendControls();
+    syncTimelineModes();
+    updateTimelineScrubber?.();
+    if (!pinnedCountry && !hoveredCountry) {
+      clearHighlight();
+    }
+    restoringUrlState = true;
+    updateVisualization();
+    restoringUrlState = false;
+  }, { signal: lifetime.signal });
+
+  // Size the catch area circles by catches for the current year and filters
+  function updateAreaLayer() {
+    const areas = mapAreas;
+    if (!areas) return;
+    
+    const catchesByArea = new Map<string, number>();
+    getPeriodYears().forEach(year => {
+      dataIndex.catchesByArea(year, currentFilter())
+        .forEach((catches, area) => catchesByArea.set(area, (catchesByArea.get(area) || 0) + catches.total));
+    });
+    
+    const radius = d3.scaleSqrt()
+      .domain([0, d3.max(Array.from(catchesByArea.values())) || 1])
+      .range([0, 45]);
+    
+    areas.selectAll('circle.catch-area')
+      .classed('visible', mapLayer === 'areas')
+      .attr('r', ([code]: [string, CatchArea]) => mapLayer === 'areas' ? radius(catchesByArea.get(code) || 0) / mapZoomScale : 0);
+  }
+
+  // Proportional circles for the countries layer: one per map unit (a group such as the USSR gets a
+  // single bubble, on its largest member), colored like the choropleth. Called without catches on zoom.
+  let lastBubbleCatches = new Map<string, number>();
+  function updateBubbleLayer(catchesByFeature = lastBubbleCatches) {
+    lastBubbleCatches = catchesByFeature;
+    const bubbles = mapBubbles;
+    const anchors: Map<string, { coordinates: [number, number]; area: number }> = mapAnchors;
+    const projectPoint: (coordinates: [number, number]) => [number, number] | null = mapProjectPoint;
+    if (!bubbles || !anchors || !projectPoint) return;
+    
+    const show = mapLayer === 'countries' && countryBubbles;
+    const units = new Map<string, { code: string; catches: number; x: number; y: number; area: number }>();
+    if (show) {
+      catchesByFeature.forEach((catches, code) => {
+        const anchor = anchors.get(code);
+        if (catches <= 0 || !anchor) return;
+        const key = `${getCountryUnit(code).sort().join(',')}:${catches}`;
+        const current = units.get(key);
+        if (!current || anchor.area > current.area) {
+          units.set(key, { code, catches, x: 0, y: 0, area: anchor.area });
+        }
+      });
+    }
+    // Place on the current projection, dropping bubbles on the far side of the globe
+    units.forEach((unit, key) => {
+      const point = projectPoint(anchors.get(unit.code)!.coordinates);
+      if (point) {
+        [unit.x, unit.y] = point;
+      } else {
+        units.delete(key);
+      }
+    });
+    
+    const radius = d3.scaleSqrt()
+      .domain([0, d3.max(Array.from(units.values()), d => d.catches) || 1])
+      .range([0, 30]);
+    
+    bubbles.selectAll('circle.country-bubble')
+      .data(Array.from(units.values()).sort((a, b) => b.catches - a.catches), (d: any) => d.code)
+      .join((enter: any) => enter.append('circle')
+        .attr('class', 'country-bubble')
+        .attr('aria-hidden', 'true')
+        .call(bindCountryEvents, (d: any) => d.code))
+      .attr('cx', (d: any) => d.x)
+      .attr('cy', (d: any) => d.y)
+      .attr('r', (d: any) => Math.max(radius(d.catches), 2) / mapZoomScale)
+      .style('fill', (d: any) => mapColorScale?.color(d.catches) ?? null)
+      .classed('pinned', (d: any) => !!pinnedCountry && getCountryUnit(pinnedCountry).includes(d.code));
+  }
+
+  // Helper: Map codes highlighted together with a country this year (e.g. Denmark + Greenland)
+  function getCountryUnit(countryCode: string): string[] {
+    return dataIndex.attribution.unit(countryCode, currentYear);
+  }
+
+  function highlightCountry(countryCode: string) {
+    // Countries drawn as one unit with this one (e.g., Denmark + Greenland)
+    const relatedCodes = getCountryUnit(countryCode);
+    
+    if (!hasCountryData(countryCode)) return;
+    
+    // Catches attributed to the country, filtered by species and whaling type
+    const countryTimeline = getCountryHistory(countryCode).map(({ year, total }) => ({ year, total }));
+    
+    // Highlight all related countries on the map
+    const countries = mapCountries;
+    if (countries) {
+      countries.selectAll('path.country').each(function(this: SVGPathElement, d: any) {
+        const code = getCountryCode(d);
+        const path = d3.select(this);
+        if (relatedCodes.includes(code)) {
+          path.classed('highlighted', true);
+        } else {
+          path.classed('highlighted', false);
+        }
+      });
+    }
+    
+    updateTimelineCountryHighlight?.(countryTimeline);
+  }
+
+  // Helper: Filtered catches per year (all years) attributed to a country on the map
+  function getCountryHistory(countryCode: string): ({ year: number } & CatchBreakdown)[] {
+    return dataIndex.countryHistory(countryCode, currentFilter());
+  }
+
+  // Helper: Name of a country including the nations it draws catches from, e.g. "Russia (incl. USSR)"
+  function getCountryDisplayName(countryCode: string): string {
+    const relatedCodes = dataIndex.attribution.allSourceCodes(countryCode);
+    const countryNames = Array.from(new Set(relatedCodes.flatMap(code => dataIndex.countryNames(code)).map(i18n.nationName)));
+    return countryNames.length > 1
+      ? i18n.t('map.countryIncluding', { name: countryNames[0], others: countryNames.slice(1).join(', ') })
+      : countryNames[0] || countryCode;
+  }
+
+  // Helper: Color of a compared country (by its position in the comparison set)
+  function comparisonColor(countryCode: string): string {
+    return d3.schemeSet2[Math.max(0, comparedCountries.indexOf(countryCode)) % d3.schemeSet2.length];
+  }
+
+  // Helper: Stable color per species (shared by the country panel and stacked charts)
+  function speciesColor(speciesCode: string): string {
+    const codes = Object.keys(data.metadata.species);
+    const index = Math.max(0, codes.indexOf(speciesCode));
+    return d3.interpolateSpectral(0.05 + 0.9 * index / Math.max(1, codes.length - 1));
+  }
+
+  // Color the `.timeline-swatch[data-color]` swatches in markup inserted with .html(): the
+  // production CSP (style-src without 'unsafe-inline') blocks style="" attributes there
+  function applySwatchColors(container: d3.Selection<any, unknown, any, any>) {
+    container.selectAll<HTMLElement, unknown>('.timeline-swatch[data-color]')
+      .style('background', function() { return this.dataset.color!; });
+  }
+
+  // Add or remove a country from the comparison set (shift-click)
+  function toggleComparedCountry(countryCode: string) {
+    const relatedCodes = getCountryUnit(countryCode);
+    const existing = comparedCountries.find(code => relatedCodes.includes(code));
+    if (existing) {
+      comparedCountries = comparedCountries.filter(code => code !== existing);
+    } else {
+      comparedCountries = [...comparedCountries, countryCode].slice(-MAX_COMPARED_COUNTRIES);
+    }
+    updateVisualization();
+  }
+
+  // Compact current-year table for the compared countries (hidden when empty)
+  function updateComparisonTable() {
+    const panel = root.select('.comparison-panel');
+    if (panel.empty()) return;
+    
+    panel.classed('visible', comparedCountries.length > 0);
+    if (comparedCountries.length === 0) {
+      panel.html('');
+      return;
+    }
+    
+    const periodYears = new Set(getPeriodYears());
+    const yearTotal = d3.sum(getFilteredTimeline().filter(d => periodYears.has(d.year)), d => d.total);
+    const rows = comparedCountries.map(code => {
+      const catches = getPeriodCatches(code).total;
+      return { code, name: getCountryDisplayName(code), catches, share: yearTotal > 0 ? catches / yearTotal * 100 : 0 };
+    });
+    
+    panel.html(`
+      <div class="comparison-header">
+        <span class="tooltip-label">${i18n.t('compare.title', { period: getPeriodLabel() })}</span>
+        <span class="comparison-controls">
+          <button class="comparison-btn${comparisonScale === 'absolute' ? ' active' : ''}" data-scale="absolute">${i18n.t('compare.catches')}</button>
+          <button class="comparison-btn${comparisonScale === 'share' ? ' active' : ''}" data-scale="share">${i18n.t('compare.share')}</button>
+          <button class="comparison-btn" data-clear="true" title="${i18n.t('compare.clearHint')}">${i18n.t('compare.clear')}</button>
+        </span>
+      </div>
+      <table class="comparison-table">
+        ${rows.map(row => `
+          <tr>
+            <td><i class="timeline-swatch" data-color="${comparisonColor(row.code)}"></i>${row.name}</td>
+            <td>${i18n.formatNumber(row.catches)}</td>
+            <td>${i18n.formatPercent(row.share)}</td>
+            <td><button class="comparison-remove" data-code="${row.code}" title="${i18n.t('compare.remove')}">×</button></td>
+          </tr>
+        `).join('')}
+      </table>
+    `);
+    applySwatchColors(panel);
+    
+    panel.selectAll<HTMLButtonElement, unknown>('[data-scale]').on('click', function(this: HTMLButtonElement) {
+      comparisonScale = this.dataset.scale as typeof comparisonScale;
+      updateVisualization();
+    });
+    panel.select('[data-clear]').on('click', () => {
+      comparedCountries = [];
+      updateVisualization();
+    });
+    panel.selectAll<HTMLButtonElement, unknown>('.comparison-remove').on('click', function(this: HTMLButtonElement) {
+      toggleComparedCountry(this.dataset.code!);
+    });
+  }
+
+  // Ranking of every whaling nation for the shown period (or all time), sortable, with a sparkline of its history.
+  // Row hover highlights the nation on the map and timeline like hovering the map does; click pins it.
+  function updateRankingPanel() {
+    const panel = root.select('.ranking-panel');
+    if (panel.empty()) return;
+    panel.classed('visible', rankingOpen);
+    if (!rankingOpen) return;
+    
+    const years = data.metadata.years;
+    const periodYears = rankingScope === 'all' ? years : getPeriodYears();
+    // Change compares with the same number of years just before the period (none for all time)
+    const previousYears = rankingScope === 'all' ? [] : years.filter(year =>
+      year < periodYears[0] && year >= periodYears[0] - periodYears.length);
+    const timeline = new Map(getFilteredTimeline().map(d => [d.year, d.total]));
+    const periodTotal = d3.sum(periodYears, year => timeline.get(year) || 0);
+    
+    const rows = Array.from(dataIndex.nationTotals(currentFilter()), ([name, { code, total, byYear }]) => {
+      const catches = rankingScope === 'all' ? total : d3.sum(periodYears, year => byYear.get(year) || 0);
+      const previous = previousYears.length > 0 ? d3.sum(previousYears, year => byYear.get(year) || 0) : null;
+      const activeYears = Array.from(byYear).filter(([_, count]) => count > 0).map(([year]) => year);
+      return {
+        name,
+        code,
+        catches,
+        share: periodTotal > 0 ? catches / periodTotal * 100 : 0,
+        change: previous === null ? null : catches - previous,
+        lastActive: d3.max(activeYears) ?? null,
+        history: years.map(year => byYear.get(year) || 0),
+      };
+    }).filter(row => row.lastActive !== null); // Nations with no catches under the current filters
+    
+    const { key, descending } = rankingSort;
+    rows.sort((a, b) => {
+      const order = key === 'name'
+        ? i18n.nationName(a.name).localeCompare(i18n.nationName(b.name), i18n.locale)
+        : d3.ascending(a[key] ?? -Infinity, b[key] ?? -Infinity) || d3.ascending(a.catches, b.catches);
+      return descending ? -order : order;
+    });
+    
+    root.select('.ranking-title').text(rankingScope === 'all' ? i18n.t('ranking.titleAll') : i18n.t('ranking.title', { period: getPeriodLabel() }));
+    panel.selectAll<HTMLButtonElement, [string, string]>('[data-scope]')
+      .classed('active', ([scope]) => scope === rankingScope);
+    panel.selectAll<HTMLTableCellElement, [RankingSortKey, string]>('thead th')
+      .attr('aria-sort', d => d && d[0] === key ? (descending ? 'descending' : 'ascending') : null)
+      .classed('sorted', d => !!d && d[0] === key);
+    
+    const sparkWidth = 80;
+    const sparkHeight = 18;
+    const sparkX = d3.scaleLinear().domain(d3.extent(years) as [number, number]).range([0, sparkWidth]);
+    const formatChange = (change: number | null) =>
+      change === null ? '–' : change === 0 ? i18n.formatNumber(0) : `${change > 0 ? '+' : '−'}${i18n.formatNumber(Math.abs(change))}`;
+    
+    panel.select('tbody')
+      .selectAll<HTMLTableRowElement, typeof rows[number]>('tr')
+      .data(rows, d => d.name)
+      .join(enter => {
+        const tr = enter.append('tr').attr('class', 'ranking-row');
+        tr.append('td').attr('class', 'ranking-name');
+        tr.append('td');
+        tr.append('td');
+        tr.append('td').attr('class', 'ranking-change');
+        tr.append('td');
+        const spark = tr.append('td').append('svg')
+          .attr('class', 'ranking-spark')
+          .attr('viewBox', `0 0 ${sparkWidth} ${sparkHeight}`)
+          .attr('aria-hidden', 'true');
+        spark.append('path').attr('class', 'ranking-spark-line');
+        spark.append('line').attr('class', 'ranking-spark-year').attr('y1', 0).attr('y2', sparkHeight);
+        return tr;
+      })
+      .order()
+      .classed('linked', d => hasCountryData(d.code))
+      .classed('pinned', d => !!pinnedCountry && d.code === pinnedCountry)
+      .each(function(this: HTMLTableRowElement, row) {
+        const cells = d3.select(this).selectAll<HTMLTableCellElement, unknown>('td').nodes();
+        cells[0].textContent = i18n.nationName(row.name);
+        cells[1].textContent = i18n.formatNumber(row.catches);
+        cells[2].textContent = i18n.formatPercent(row.share);
+        cells[3].textContent = formatChange(row.change);
+        cells[3].classList.toggle('up', (row.change ?? 0) > 0);
+        cells[3].classList.toggle('down', (row.change ?? 0) < 0);
+        cells[4].textContent = row.lastActive !== null ? i18n.formatYear(row.lastActive) : '–';
+        
+        // Each sparkline is scaled to its own peak (shape, not size, is what the column compares)
+        const sparkY = d3.scaleLinear().domain([0, d3.max(row.history) || 1]).range([sparkHeight - 1, 1]);
+        const spark = d3.select(cells[5]).select('svg');
+        spark.select('.ranking-spark-line')
+          .attr('d', d3.line<number>().x((_, i) => sparkX(years[i])).y(d => sparkY(d))(row.history));
+        spark.select('.ranking-spark-year')
+          .attr('x1', sparkX(currentYear))
+          .attr('x2', sparkX(currentYear));
+      })
+      .on('mouseenter', (_event: MouseEvent, row) => {
+        if (!hasCountryData(row.code)) return;
+        setHoveredCountry(row.code);
+        highlightCountry(row.code);
+      })
+      .on('mouseleave', () => {
+        setHoveredCountry(null);
+        if (pinnedCountry) {
+          highlightCountry(pinnedCountry);
+        } else {
+          clearHighlight();
+        }
+      })
+      .on('click', (event: MouseEvent, row) => {
+        if (!hasCountryData(row.code)) return;
+        if (event.shiftKey) {
+          toggleComparedCountry(row.code);
+        } else {
+          pinCountry(row.code === pinnedCountry ? null : row.code);
+        }
+      });
+  }
+
+  // Side panel with the pinned country's full history (hidden when nothing is pinned)
+  function updateCountryPanel() {
+    const panel = root.select('.country-panel');
+    if (panel.empty()) return;
+    
+    if (!pinnedCountry) {
+      panel.classed('visible', false);
+      return;
+    }
+    
+    const displayName = getCountryDisplayName(pinnedCountry);
+    const history = getCountryHistory(pinnedCountry);
+    const activeYears = history.filter(d => d.total > 0);
+    const peak = d3.greatest(history, d => d.total);
+    const cumulative = d3.sum(history, d => d.total);
+    const current = getPeriodCatches(pinnedCountry);
+    
+    panel.classed('visible', true).html(`
+      <button class="country-panel-close" title="${i18n.t('panel.unpin')}">×</button>
+      <div class="tooltip-country">${displayName}</div>
+      <svg class="country-panel-chart" viewBox="0 0 280 110"></svg>
+      <div class="country-panel-stats">
+        <div><span class="country-panel-value">${i18n.formatNumber(cumulative)}</span><span class="tooltip-label">${i18n.t('panel.total')}</span></div>
+        <div><span class="country-panel-value">${peak && peak.total > 0 ? `${i18n.formatNumber(peak.total)} (${i18n.formatYear(peak.year)})` : '–'}</span><span class="tooltip-label">${i18n.t('panel.peak')}</span></div>
+        <div><span class="country-panel-value">${activeYears.length > 0 ? `${i18n.formatYear(activeYears[0].year)}–${i18n.formatYear(activeYears[activeYears.length - 1].year)}` : '–'}</span><span class="tooltip-label">${i18n.t('panel.firstLast')}</span></div>
+      </div>
+      <div class="country-panel-current">
+        <span class="tooltip-total">${i18n.formatNumber(current.total)}</span>
+        <span class="tooltip-label">${i18n.t('tooltip.whalesIn', { period: getPeriodLabel() })}</span>
+      </div>
+      ${speciesRowsHtml(current.species)}
+      ${dataIndex.attribution.rules(pinnedCountry).map(rule => `<div class="tooltip-attribution">${i18n.ruleText(rule).note}</div>`).join('')}
+    `);
+    
+    panel.select('.country-panel-close').on('click', () => pinCountry(null));
+    
+    // Stacked-by-species history
+    const chart = panel.select<SVGSVGElement>('.country-panel-chart');
+    const margin = { top: 5, right: 5, bottom: 18, left: 5 };
+    const width = 280 - margin.left - margin.right;
+    const height = 110 - margin.top - margin.bottom;
+    const g = chart.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+    
+    const speciesKeys = Object.keys(data.metadata.species)
+      .filter(code => history.some(d => (d.species[code] || 0) > 0));
+    const stacked = d3.stack<{ year: number } & CatchBreakdown>()
+      .keys(speciesKeys)
+      .value((d, key) => d.species[key] || 0)(history);
+    
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(data.metadata.years) as [number, number])
+      .range([0, width]);
+    const yScale = d3.scaleLinear()
+      .domain([0, d3.max(history, d => d3.sum(speciesKeys, key => d.species[key] || 0)) || 1])
+      .range([height, 0]);
+    
+    const area = d3.area<d3.SeriesPoint<{ year: number } & CatchBreakdown>>()
+      .x(d => xScale(d.data.year))
+      .y0(d => yScale(d[0]))
+      .y1(d => yScale(d[1]))
+      .curve(d3.curveMonotoneX);
+    
+    g.selectAll('path')
+      .data(stacked)
+      .enter()
+      .append('path')
+      .attr('d', area)
+      .attr('fill', series => speciesColor(series.key))
+      .append('title')
+      .text(series => speciesLabel(series.key));
+    
+    g.append('line')
+      .attr('class', 'country-panel-year')
+      .attr('x1', xScale(currentYear))
+      .attr('x2', xScale(currentYear))
+      .attr('y1', 0)
+      .attr('y2', height);
+    
+    g.append('g')
+      .attr('class', 'timeline-axis')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xScale).ticks(5).tickFormat(d => String(d)));
+  }
+
+  function clearHighlight() {
+    // Clear map highlights
+    const countries = mapCountries;
+    if (countries) {
+      countries.selectAll('path.country').classed('highlighted', false);
+    }
+    updateTimelineCountryHighlight?.(null);
+  }
+
+  function showTooltip(event: TooltipAnchor, countryCode: string) {
+    // Records drawn on this country in the shown year(s) (e.g. Denmark's for Greenland)
+    const periodYears = getPeriodYears();
+    const yearData = periodYears.flatMap(year => dataIndex.attribution.sources(countryCode, year)
+      .flatMap(({ code, share }) => dataIndex.countryYear(code, year).map(record => ({ record, share })))
+    );
+    
+    if (yearData.length === 0) return;
+    
+    // Filtered totals and species, attributed the same way as the map colors
+    const { total, species } = getPeriodCatches(countryCode);
+    const types: Record<string, number> = {};
+    const countryNames = new Set<string>();
+    
+    yearData.forEach(({ record, share }) => {
+      countryNames.add(i18n.nationName(record.country));
+      Object.entries(record.types || {}).forEach(([type, breakdown]) => {
+        if (selectedTypes.length > 0 && !selectedTypes.includes(type)) return;
+        const count = selectedSpecies.length > 0
+          ? selectedSpecies.reduce((sum, s) => sum + (breakdown.species[s] || 0), 0)
+          : breakdown.total;
+        types[type] = (types[type] || 0) + (share === 1 ? count : Math.round(count * share));
+      });
+    });
+    
+    // Groups use their configured name (e.g. "USSR") if they cover the whole period, otherwise the combined country names
+    const rulesByYear = periodYears.map(year => dataIndex.attribution.rules(countryCode, year));
+    const rules = Array.from(new Set(rulesByYear.flat()));
+    const group = rules.find(rule => rule.mode === 'group' && rulesByYear.every(yearRules => yearRules.includes(rule)));
+    const names = Array.from(countryNames);
+    const displayName = group ? i18n.ruleText(group).name : names.length > 1
+      ? i18n.t('map.countryIncluding', { name: names[0], others: names.slice(1).join(', ') })
+      : names[0];
+    
+    const typeRows = Object.entries(types).filter(([_, count]) => count > 0);
+    
+    const tooltip = root.select('.tooltip');
+    tooltip.html(`
+      <div class="tooltip-country">${displayName}</div>
+      <div class="tooltip-total">${i18n.formatNumber(total)}</div>
+      <div class="tooltip-label">${i18n.t('tooltip.whalesIn', { period: getPeriodLabel() })}</div>
+      ${typeRows.length > 0 ? `
+        <div class="tooltip-types">
+          ${typeRows.map(([type, count]) => `
+            <div class="tooltip-species-row">
+              <span class="tooltip-type-name">${typeLabel(type)}</span>
+              <span class="tooltip-species-count">${i18n.formatNumber(count)}</span>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${speciesRowsHtml(species)}
+      ${rules.map(rule => `<div class="tooltip-attribution">${i18n.ruleText(rule).note}</div>`).join('')}
+      <div class="tooltip-hint">${touchInput ? i18n.t('tooltip.tapHint') : i18n.t('tooltip.hint')}</div>
+    `);
+    
+    tooltip.classed('visible', true);
+    positionTooltip(event);
+  }
+
+  function showAreaTooltip(event: MouseEvent, areaCode: string) {
+    const catches = sumCatches(getPeriodYears()
+      .map(year => dataIndex.catchesByArea(year, currentFilter()).get(areaCode))
+      .filter((entry): entry is CatchBreakdown => !!entry));
+    
+    const tooltip = root.select('.tooltip');
+    tooltip.html(`
+      <div class="tooltip-country">${data.metadata.areas?.[areaCode]?.name || areaCode}</div>
+      <div class="tooltip-total">${i18n.formatNumber(catches.total)}</div>
+      <div class="tooltip-label">${i18n.t('tooltip.caughtHere', { period: getPeriodLabel() })}</div>
+      ${speciesRowsHtml(catches.species)}
+    `);
+    
+    tooltip.classed('visible', true);
+    positionTooltip(event);
+  }
+
+  // Helper: Tooltip rows for a species -> count breakdown
+  function speciesRowsHtml(species: Record<string, number>): string {
+    const rows = Object.entries(species).filter(([_, count]) => count > 0);
+    if (rows.length === 0) return '';
+    return `
+      <div class="tooltip-species">
+        ${rows.map(([code, count]) => `
+          <div class="tooltip-species-row">
+            <span class="tooltip-species-name">${speciesLabel(code)}${statusBadge(code)}</span>
+            <span class="tooltip-species-count">${i18n.formatNumber(count)}</span>
+          </div>
+        `).join('')}
+      </div>
+      ${speciesContextHtml()}
+    `;
+  }
+
+  // Helper: Conservation status and population estimates of a species (undefined if not in the reference data)
+  function speciesStatus(code: string): SpeciesStatus | undefined {
+    return data.metadata.speciesStatus?.[code];
+  }
+
+  // Helper: IUCN category badge for a species ('' when it has no single category)
+  function statusBadge(code: string): string {
+    const entry = speciesStatus(code);
+    if (!entry?.status) return '';
+    return `<span class="status-badge status-${entry.status}" title="${i18n.t(`status.${entry.status}`)} (IUCN ${entry.assessed})">${entry.status}</span>`;
+  }
+
+  // Helper: Tooltip line putting the catches in context when exactly one species is selected,
+  // e.g. "Endangered · population ≈ 20,000 (2018)"
+  function speciesContextHtml(): string {
+    if (selectedSpecies.length !== 1) return '';
+    const entry = speciesStatus(selectedSpecies[0]);
+    if (!entry) return '';
+    const latest = entry.population[entry.population.length - 1];
+    const parts = [
+      entry.status ? i18n.t(`status.${entry.status}`) : i18n.speciesNote(selectedSpecies[0], entry.note),
+      latest ? i18n.t('status.population', { estimate: i18n.formatNumber(latest.estimate), year: i18n.formatYear(latest.year) }) : '',
+    ].filter(Boolean);
+    return `<div class="tooltip-context">${parts.join(' · ')}</div>`;
+  }
+
+  // Where a tooltip is anchored: the mouse, or the center of a keyboard-focused element
+  type TooltipAnchor = Pick<MouseEvent, 'clientX' | 'clientY'>;
+
+  // Helper: Tooltip anchor at the center of an element (for keyboard focus)
+  function elementCenter(element: Element): TooltipAnchor {
+    const rect = element.getBoundingClientRect();
+    return { clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 };
+  }
+
+  function positionTooltip(event: TooltipAnchor) {
+    const tooltip = root.select('.tooltip');
+    if (!tooltip.classed('visible')) return;
+
+    const x = event.clientX;
+    const y = event.clientY;
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const tooltipNode = tooltip.node() as HTMLElement;
+    if (!tooltipNode) return;
+
+    const tooltipWidth = tooltipNode.offsetWidth;
+    const tooltipHeight = tooltipNode.offsetHeight;
+    
+    // Position lower-right by default
+    let left = x + 20;
+    let top = y + 20;
+    
+    // Flip to left if it would go off screen
+    if (left + tooltipWidth > width - 20) {
+      left = x - tooltipWidth - 20;
+    }
+    
+    // Flip to top if it would go off screen
+    if (top + tooltipHeight > height - 20) {
+      top = y - tooltipHeight - 20;
+    }
+    
+    // Still keep it in view where neither side fits (phones)
+    left = Math.max(8, Math.min(left, width - tooltipWidth - 8));
+    top = Math.max(8, Math.min(top, height - tooltipHeight - 8));
+    
+    tooltip
+      .style('left', `${left}px`)
+      .style('top', `${top}px`);
+  }
+
+  function hideTooltip() {
+    root.select('.tooltip').classed('visible', false);
+  }
+
+  // Remember whether the last pointer was a finger (see bindCountryEvents)
+  ['pointerdown', 'pointermove'].forEach(type => window.addEventListener(type, (event: Event) => {
+    touchInput = (event as PointerEvent).pointerType === 'touch';
+  }, { signal: lifetime.signal }));
+
+  // Handle window resize - debounced to avoid excessive re-renders
+  let resizeTimeout: number | null = null;
+  window.addEventListener('resize', () => {
+    if (resizeTimeout) {
+      clearTimeout(resizeTimeout);
+    }
+    resizeTimeout = window.setTimeout(() => {
+      if (data && worldTopo) {
+        // Refit the map and the timeline in place (only after resize stops)
+        resizeMap?.();
+        resizeTimeline?.();
+        syncFiltersDrawer();
+      }
+    }, 250); // Wait 250ms after last resize event
+  }, { signal: lifetime.signal });
+  
+  // Helper: Set the hovered country, telling listeners when it changes
+  function setHoveredCountry(code: string | null) {
+    if (code === hoveredCountry) return;
+    hoveredCountry = code;
+    events.call('hover', undefined, code);
+  }
+  
+  init();
+  
+  const widget: StillWhalingWidget = {
+    setYear: year => {
+      ready.then(() => {
+        stopPlayback();
+        setYear(year);
+        updateUrl();
+      });
+    },
+    setSpecies: species => {
+      ready.then(() => {
+        selectedSpecies = parseCodeList(species.join(','), data.metadata.species, 'species');
+        filterRowSyncs.forEach(sync => sync());
+        updateVisualization();
+        updateUrl();
+      });
+    },
+    on: (type, listener) => {
+      events.on(type, listener as any);
+      return widget;
+    },
+    destroy: () => {
+      stopPlayback();
+      lifetime.abort();
+      if (urlPushTimeout) clearTimeout(urlPushTimeout);
+      if (resizeTimeout) clearTimeout(resizeTimeout);
+      root.html('').classed('stillwhaling', false).classed('theme-light', false);
+    },
+  };
+  return widget;
+}
@@ -0,0 +1,85 @@
+// Choropleth color scales for the map: scale type, palette and legend ticks
+import * as d3 from 'd3';
+
+export type ColorScaleType = 'linear' | 'log' | 'quantile';
+
+export const COLOR_SCALE_TYPES: ColorScaleType[] = ['linear', 'log', 'quantile'];
+
+// Sequential palettes (labelled by the legend.<key> strings); viridis and cividis stay
+// readable with color vision deficiencies
+export const PALETTES: Record<string, { colorblindSafe: boolean; interpolator: (t: number) => string }> = {
+  reds: { colorblindSafe: false, interpolator: d3.interpolateReds },
+  viridis: { colorblindSafe: true, interpolator: d3.interpolateViridis },
+  cividis: { colorblindSafe: true, interpolator: d3.interpolateCividis },
+  blues: { colorblindSafe: false, interpolator: d3.interpolateBlues },
+};
+
+const QUANTILE_CLASSES = 5;
+
+export interface MapColorScale {
+  /** Fill for a catch count (undefined for no catches) */
+  color(value: number): string | undefined;
+  /** Legend: colors left to right (discrete = hard class edges), ticks at 0..1 offsets */
+  legend: { stops: string[]; discrete: boolean; ticks: { offset: number; label: string }[] };
+}
+
+// Build a scale over the positive catch counts that define its domain;
+// `formatTick` writes the legend labels (the widget's compact number format)
+export function createMapColorScale(
+  type: ColorScaleType,
+  palette: string,
+  values: number[],
+  formatTick: (value: number) => string,
+): MapColorScale {
+  const interpolator = (PALETTES[palette] || PALETTES.reds).interpolator;
+  const positive = values.filter(value => value > 0);
+  const max = d3.max(positive) || 1;
+  const gradient = d3.range(0, 1.0001, 0.1).map(t => interpolator(t));
+
+  if (type === 'quantile' && positive.length >= QUANTILE_CLASSES) {
+    const colors = d3.quantize(interpolator, QUANTILE_CLASSES);
+    const scale = d3.scaleQuantile<string>().domain(positive).range(colors);
+    const thresholds = scale.quantiles();
+    return {
+      color: value => value > 0 ? scale(value) : undefined,
+      legend: {
+        stops: colors,
+        discrete: true,
+        ticks: [d3.min(positive)!, ...thresholds, max].map((value, i) => ({
+          offset: i / QUANTILE_CLASSES,
+          label: formatTick(Math.round(value)),
+        })),
+      },
+    };
+  }
+
+  if (type === 'log') {
+    const min = Math.min(d3.min(positive) || 1, max / 10);
+    const scale = d3.scaleSequentialLog(interpolator).domain([Math.max(1, min), max]);
+    const position = d3.scaleLog().domain(scale.domain()).range([0, 1]);
+    // Powers of ten only, plus the ends
+    const powers = position.ticks().filter(tick => Number.isInteger(Math.log10(tick)));
+    const ticks = Array.from(new Set([scale.domain()[0], ...powers, max]));
+    return {
+      color: value => value > 0 ? scale(Math.max(value, scale.domain()[0])) : undefined,
+      legend: {
+        stops: gradient,
+        discrete: false,
+        ticks: ticks.map(value => ({ offset: position(value), label: formatTick(Math.round(value)) })),
+      },
+    };
+  }
+
+  const scale = d3.scaleSequential(interpolator).domain([0, max]);
+  // Whole counts only, so small maxima don't get repeated rounded labels
+  const ticks = d3.scaleLinear().domain([0, max]).ticks(4).filter(tick => Number.isInteger(tick) && tick < max * 0.9);
+  return {
+    color: value => value > 0 ? scale(value) : undefined,
+    legend: {
+      stops: gradient,
+      discrete: false,
+      ticks: [...ticks, max]
+        .map(value => ({ offset: value / max, label: formatTick(Math.round(value)) })),
+    },
+  };
+}
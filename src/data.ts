@@ -0,0 +1,244 @@
+// Indexed, memoized access to the whaling dataset.
+// Indexes are built once at load; filtered aggregates are cached per species/type selection
+// so scrubbing, hovering and playback don't rescan every record.
+// Returned aggregates are shared between callers - treat them as read-only.
+import * as d3 from 'd3';
+import { WhalingData, CountryYearEntry, CatchBreakdown, TimelineEntry } from './types';
+import { createAttribution, Attribution, CatchSource } from './territories';
+
+export interface CatchFilter {
+  species: string[]; // Empty = all species
+  types: string[]; // Empty = all whaling types
+}
+
+export type YearCatches = { year: number } & CatchBreakdown;
+
+export interface DataIndex {
+  years: number[];
+  attribution: Attribution;
+  /** Catches for one record after applying the filter */
+  filterCatches(entry: CatchBreakdown & { types?: Record<string, CatchBreakdown> }, filter: CatchFilter): CatchBreakdown;
+  /** Raw records for a year */
+  countriesInYear(year: number): CountryYearEntry[];
+  /** Raw records for a country code in a year */
+  countryYear(code: string, year: number): CountryYearEntry[];
+  /** Filtered catches per country code for a year */
+  catchesByCountry(year: number, filter: CatchFilter): Map<string, CatchBreakdown>;
+  /** Filtered catches per catch area for a year */
+  catchesByArea(year: number, filter: CatchFilter): Map<string, CatchBreakdown>;
+  /** Filtered catches drawn on a map feature in a year (after territory attribution) */
+  mapCatches(mapCode: string, year: number, filter: CatchFilter): CatchBreakdown;
+  /** Filtered catches drawn on a map feature for every year */
+  countryHistory(mapCode: string, filter: CatchFilter): YearCatches[];
+  /** Filtered global total for every year */
+  yearTotals(filter: CatchFilter): { year: number; total: number }[];
+  /** Filtered global catches per species for every year */
+  speciesTimeline(filter: CatchFilter): Record<string, number>[];
+  /** Filtered totals per nation (by name, with its country code) for every year, plus the all-years sum */
+  nationTotals(filter: CatchFilter): Map<string, { code: string; total: number; byYear: Map<number, number> }>;
+  /** Nation names recorded under a country code */
+  countryNames(code: string): string[];
+  hasCountry(code: string): boolean;
+  /** Whether a map feature has catch records in any year */
+  hasMapData(mapCode: string): boolean;
+}
+
+// Cached results per filter selection; the oldest selections are dropped past the limit
+const MEMO_LIMIT = 32;
+
+function memoize<A extends unknown[], R>(keyOf: (...args: A) => string, compute: (...args: A) => R): (...args: A) => R {
+  const cache = new Map<string, R>();
+  return (...args: A) => {
+    const key = keyOf(...args);
+    if (cache.has(key)) return cache.get(key)!;
+    const result = compute(...args);
+    if (cache.size >= MEMO_LIMIT) {
+      cache.delete(cache.keys().next().value as string);
+    }
+    cache.set(key, result);
+    return result;
+  };
+}
+
+// Helper: Stable cache key for a filter (selection order doesn't matter)
+export function filterKey(filter: CatchFilter): string {
+  return `${[...filter.species].sort().join(',')}|${[...filter.types].sort().join(',')}`;
+}
+
+// Helper: Sum two catch breakdowns into a new one (`b` scaled by `share`, for split attribution)
+function addCatches(a: CatchBreakdown | undefined, b: CatchBreakdown, share = 1): CatchBreakdown {
+  const scale = (count: number) => share === 1 ? count : Math.round(count * share);
+  const species = { ...a?.species };
+  Object.entries(b.species).forEach(([code, count]) => {
+    species[code] = (species[code] || 0) + scale(count);
+  });
+  return { total: (a?.total || 0) + scale(b.total), species };
+}
+
+// Helper: Combined catches of several breakdowns (e.g. a country over a range of years)
+export function sumCatches(breakdowns: CatchBreakdown[]): CatchBreakdown {
+  return breakdowns.reduce<CatchBreakdown>((sum, catches) => addCatches(sum, catches), { total: 0, species: {} });
+}
+
+export function createDataIndex(data: WhalingData): DataIndex {
+  const years = data.timeline.map(entry => entry.year);
+  const attribution = createAttribution(data.metadata.attribution || []);
+
+  // year -> records, code -> (year -> record), code -> nation names
+  const recordsByYear = new Map<number, CountryYearEntry[]>();
+  const recordsByCode = new Map<string, Map<number, CountryYearEntry[]>>();
+  const namesByCode = new Map<string, string[]>();
+  data.byCountryYear.forEach(entry => {
+    if (!recordsByYear.has(entry.year)) recordsByYear.set(entry.year, []);
+    recordsByYear.get(entry.year)!.push(entry);
+
+    if (!recordsByCode.has(entry.code)) recordsByCode.set(entry.code, new Map());
+    const byYear = recordsByCode.get(entry.code)!;
+    byYear.set(entry.year, [...(byYear.get(entry.year) || []), entry]);
+
+    const names = namesByCode.get(entry.code) || [];
+    if (!names.includes(entry.country)) names.push(entry.country);
+    namesByCode.set(entry.code, names);
+  });
+
+  const areasByYear = d3.group(data.byAreaYear || [], entry => entry.year);
+
+  function filterCatches(entry: CatchBreakdown & { types?: Record<string, CatchBreakdown> }, filter: CatchFilter): CatchBreakdown {
+    const parts: CatchBreakdown[] = filter.types.length > 0
+      ? filter.types.map(type => entry.types?.[type]).filter((part): part is CatchBreakdown => !!part)
+      : [entry];
+
+    const result: CatchBreakdown = { total: 0, species: {} };
+    parts.forEach(part => {
+      const speciesCodes = filter.species.length > 0 ? filter.species : Object.keys(part.species || {});
+      speciesCodes.forEach(species => {
+        const count = part.species?.[species] || 0;
+        if (count > 0) {
+          result.species[species] = (result.species[species] || 0) + count;
+        }
+      });
+      // Unfiltered totals may include catches not attributed to a species column
+      result.total += filter.species.length > 0
+        ? filter.species.reduce((sum, species) => sum + (part.species?.[species] || 0), 0)
+        : part.total || 0;
+    });
+    return result;
+  }
+
+  // Helper: Timelines to sum for the selected whaling types
+  function timelineSources(filter: CatchFilter): TimelineEntry[][] {
+    return filter.types.length > 0
+      ? filter.types.map(type => data.timelineByType?.[type] || [])
+      : [data.timeline];
+  }
+
+  // Per-year and per-country results are filled in lazily inside each filter's cache bucket
+  const filterCache = memoize(filterKey, (_filter: CatchFilter) => ({
+    countries: new Map<number, Map<string, CatchBreakdown>>(),
+    areas: new Map<number, Map<string, CatchBreakdown>>(),
+    histories: new Map<string, YearCatches[]>(),
+  }));
+
+  function catchesByCountry(year: number, filter: CatchFilter): Map<string, CatchBreakdown> {
+    const cache = filterCache(filter).countries;
+    if (!cache.has(year)) {
+      const result = new Map<string, CatchBreakdown>();
+      (recordsByYear.get(year) || []).forEach(entry => {
+        // Several nations can share a code (e.g. USSR and Russia)
+        result.set(entry.code, addCatches(result.get(entry.code), filterCatches(entry, filter)));
+      });
+      cache.set(year, result);
+    }
+    return cache.get(year)!;
+  }
+
+  function catchesByArea(year: number, filter: CatchFilter): Map<string, CatchBreakdown> {
+    const cache = filterCache(filter).areas;
+    if (!cache.has(year)) {
+      cache.set(year, new Map(
+        (areasByYear.get(year) || []).map(entry => [entry.area, filterCatches(entry, filter)] as [string, CatchBreakdown])
+      ));
+    }
+    return cache.get(year)!;
+  }
+
+  // Helper: Sum of the filtered catches of attribution sources in a year
+  function sumSources(sources: CatchSource[], year: number, filter: CatchFilter): CatchBreakdown {
+    const byCountry = catchesByCountry(year, filter);
+    return sources.reduce<CatchBreakdown>((sum, { code, share }) => {
+      const catches = byCountry.get(code);
+      return catches ? addCatches(sum, catches, share) : sum;
+    }, { total: 0, species: {} });
+  }
+
+  function mapCatches(mapCode: string, year: number, filter: CatchFilter): CatchBreakdown {
+    return sumSources(attribution.sources(mapCode, year), year, filter);
+  }
+
+  function countryHistory(mapCode: string, filter: CatchFilter): YearCatches[] {
+    const cache = filterCache(filter).histories;
+    if (!cache.has(mapCode)) {
+      cache.set(mapCode, years.map(year => ({ year, ...mapCatches(mapCode, year, filter) })));
+    }
+    return cache.get(mapCode)!;
+  }
+
+  const yearTotals = memoize(filterKey, (filter: CatchFilter) => {
+    const totalsByYear = new Map<number, number>();
+    timelineSources(filter).forEach(timeline => {
+      timeline.forEach(entry => {
+        const total = filter.species.length > 0
+          ? filter.species.reduce((sum, species) => sum + (entry[species] || 0), 0)
+          : entry.total;
+        totalsByYear.set(entry.year, (totalsByYear.get(entry.year) || 0) + total);
+      });
+    });
+    return years.map(year => ({ year, total: totalsByYear.get(year) || 0 }));
+  });
+
+  const speciesTimeline = memoize(filterKey, (filter: CatchFilter) => {
+    const speciesCodes = filter.species.length > 0 ? filter.species : Object.keys(data.metadata.species);
+    const rows: Record<string, number>[] = years.map(year => ({ year }));
+    const rowByYear = new Map(rows.map(row => [row.year, row]));
+    timelineSources(filter).forEach(timeline => {
+      timeline.forEach(entry => {
+        const row = rowByYear.get(entry.year);
+        if (!row) return;
+        speciesCodes.forEach(code => {
+          row[code] = (row[code] || 0) + (entry[code] || 0);
+        });
+      });
+    });
+    return rows;
+  });
+
+  const nationTotals = memoize(filterKey, (filter: CatchFilter) => {
+    const result = new Map<string, { code: string; total: number; byYear: Map<number, number> }>();
+    data.byCountryYear.forEach(entry => {
+      const total = filterCatches(entry, filter).total;
+      if (!result.has(entry.country)) result.set(entry.country, { code: entry.code, total: 0, byYear: new Map() });
+      const nation = result.get(entry.country)!;
+      nation.total += total;
+      nation.byYear.set(entry.year, (nation.byYear.get(entry.year) || 0) + total);
+    });
+    return result;
+  });
+
+  return {
+    years,
+    attribution,
+    filterCatches,
+    countriesInYear: year => recordsByYear.get(year) || [],
+    countryYear: (code, year) => recordsByCode.get(code)?.get(year) || [],
+    catchesByCountry,
+    catchesByArea,
+    mapCatches,
+    countryHistory,
+    yearTotals,
+    speciesTimeline,
+    nationTotals,
+    countryNames: code => namesByCode.get(code) || [],
+    hasCountry: code => !!code && recordsByCode.has(code),
+    hasMapData: mapCode => attribution.allSourceCodes(mapCode).some(code => !!code && recordsByCode.has(code)),
+  };
+}
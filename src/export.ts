@@ -0,0 +1,194 @@
+// Export helpers: file downloads, CSV and standalone SVG/PNG snapshots of the charts
+
+// Computed styles copied onto exported SVG elements (the page CSS doesn't travel with the file)
+const INLINED_STYLES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'opacity', 'display', 'visibility', 'font-family', 'font-size', 'font-weight', 'text-anchor',
+];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export interface SnapshotOptions {
+  title: string;
+  subtitle: string; // e.g. "1995 · Minke whales"
+  attribution: string;
+  legendGradient?: { stops: string[]; minLabel: string; maxLabel: string };
+  legendItems?: { label: string; color: string }[];
+}
+
+// Trigger a browser download for generated content
+export function downloadFile(content: Blob | string, filename: string, type: string) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// RFC 4180 CSV (quotes fields containing commas, quotes or newlines)
+export function toCsv(columns: string[], rows: (string | number)[][]): string {
+  const escape = (value: string | number) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
+
+// Copy an on-screen SVG with inlined styles, framed by a title, legend and attribution.
+// The frame takes its colors from the widget root's theme. Returns the SVG markup and its pixel size.
+export function createStandaloneSvg(source: SVGSVGElement, root: HTMLElement, options: SnapshotOptions): { svg: string; width: number; height: number } {
+  const rootStyle = getComputedStyle(root);
+  const cssVar = (name: string, fallback: string) => rootStyle.getPropertyValue(name).trim() || fallback;
+  const background = cssVar('--bg-deep', '#0a0f14');
+  const textPrimary = cssVar('--text-primary', '#e8f0f5');
+  const textMuted = cssVar('--text-muted', '#7a9bb5');
+  const fontFamily = "'DM Sans', system-ui, sans-serif";
+
+  const viewBox = (source.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const chartWidth = viewBox[2] || source.clientWidth;
+  const chartHeight = viewBox[3] || source.clientHeight;
+  const width = Math.max(chartWidth, 600);
+  const headerHeight = 64;
+  const legendHeight = options.legendGradient || options.legendItems?.length ? 32 : 0;
+  const footerHeight = 28;
+  const height = headerHeight + chartHeight + legendHeight + footerHeight;
+
+  const out = document.createElementNS(SVG_NS, 'svg');
+  out.setAttribute('width', String(width));
+  out.setAttribute('height', String(height));
+  out.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  const appendText = (text: string, x: number, y: number, size: number, fill: string, anchor = 'start') => {
+    const node = document.createElementNS(SVG_NS, 'text');
+    node.setAttribute('x', String(x));
+    node.setAttribute('y', String(y));
+    node.setAttribute('fill', fill);
+    node.setAttribute('font-size', String(size));
+    node.setAttribute('font-family', fontFamily);
+    node.setAttribute('text-anchor', anchor);
+    node.textContent = text;
+    out.appendChild(node);
+    return node;
+  };
+
+  const bg = document.createElementNS(SVG_NS, 'rect');
+  bg.setAttribute('width', '100%');
+  bg.setAttribute('height', '100%');
+  bg.setAttribute('fill', background);
+  out.appendChild(bg);
+
+  appendText(options.title, 16, 30, 22, textPrimary).setAttribute('font-family', "'Instrument Serif', Georgia, serif");
+  appendText(options.subtitle, 16, 52, 13, textMuted);
+
+  // Chart with computed styles inlined
+  const chart = source.cloneNode(true) as SVGSVGElement;
+  inlineStyles(source, chart);
+  chart.removeAttribute('class');
+  chart.removeAttribute('style');
+  chart.setAttribute('x', String((width - chartWidth) / 2));
+  chart.setAttribute('y', String(headerHeight));
+  chart.setAttribute('width', String(chartWidth));
+  chart.setAttribute('height', String(chartHeight));
+  out.appendChild(chart);
+
+  // Legend
+  const legendY = headerHeight + chartHeight + 12;
+  if (options.legendGradient) {
+    const { stops, minLabel, maxLabel } = options.legendGradient;
+    const defs = document.createElementNS(SVG_NS, 'defs');
+    const gradient = document.createElementNS(SVG_NS, 'linearGradient');
+    gradient.setAttribute('id', 'export-legend-gradient');
+    stops.forEach((color, i) => {
+      const stop = document.createElementNS(SVG_NS, 'stop');
+      stop.setAttribute('offset', `${(i / Math.max(1, stops.length - 1)) * 100}%`);
+      stop.setAttribute('stop-color', color);
+      gradient.appendChild(stop);
+    });
+    defs.appendChild(gradient);
+    out.appendChild(defs);
+
+    appendText(minLabel, 16, legendY + 8, 11, textMuted);
+    const barX = 16 + Math.max(30, minLabel.length * 7);
+    const bar = document.createElementNS(SVG_NS, 'rect');
+    bar.setAttribute('x', String(barX));
+    bar.setAttribute('y', String(legendY));
+    bar.setAttribute('width', '160');
+    bar.setAttribute('height', '8');
+    bar.setAttribute('rx', '4');
+    bar.setAttribute('fill', 'url(#export-legend-gradient)');
+    out.appendChild(bar);
+    appendText(maxLabel, barX + 168, legendY + 8, 11, textMuted);
+  } else if (options.legendItems?.length) {
+    let x = 16;
+    options.legendItems.forEach(({ label, color }) => {
+      const swatch = document.createElementNS(SVG_NS, 'rect');
+      swatch.setAttribute('x', String(x));
+      swatch.setAttribute('y', String(legendY));
+      swatch.setAttribute('width', '8');
+      swatch.setAttribute('height', '8');
+      swatch.setAttribute('rx', '2');
+      swatch.setAttribute('fill', color);
+      out.appendChild(swatch);
+      appendText(label, x + 12, legendY + 8, 11, textMuted);
+      x += 24 + label.length * 6;
+    });
+  }
+
+  appendText(options.attribution, width - 16, height - 10, 11, textMuted, 'end');
+
+  return { svg: new XMLSerializer().serializeToString(out), width, height };
+}
+
+// Rasterize SVG markup to a PNG blob (scale > 1 for sharper output)
+export function svgToPngBlob(svg: string, width: number, height: number, scale = 2): Promise<Blob> {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      if (!context) {
+        URL.revokeObjectURL(url);
+        reject(new Error('Canvas 2D context unavailable'));
+        return;
+      }
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render SVG for PNG export'));
+    };
+    image.src = url;
+  });
+}
+
+// Walk the original and cloned trees in parallel, copying computed styles to the clone
+// (through the CSSOM: the production CSP blocks style attributes written as markup)
+function inlineStyles(original: Element, clone: Element) {
+  const computed = getComputedStyle(original);
+  const style = (clone as SVGElement).style;
+  INLINED_STYLES.forEach(prop => {
+    const value = computed.getPropertyValue(prop);
+    if (value !== '') {
+      style.setProperty(prop, value);
+    }
+  });
+  clone.removeAttribute('class');
+
+  const originalChildren = Array.from(original.children);
+  const cloneChildren = Array.from(clone.children);
+  originalChildren.forEach((child, i) => {
+    if (cloneChildren[i]) {
+      inlineStyles(child, cloneChildren[i]);
+    }
+  });
+}
@@ -0,0 +1,123 @@
+// UI translations and locale-aware formatting.
+// Strings live in src/locales/<locale>.json; keys missing from a locale fall back to English.
+import en from './locales/en.json';
+import ja from './locales/ja.json';
+import no from './locales/no.json';
+import is from './locales/is.json';
+
+export type Locale = 'en' | 'ja' | 'no' | 'is';
+
+interface Messages {
+  ui: Record<string, string>;
+  species: Record<string, string>; // Species code -> common name
+  nations: Record<string, string>; // IWC nation name -> name
+  types: Record<string, string>; // Whaling type code -> name
+  annotations: Record<string, { title: string; description: string }>; // Timeline event id -> text
+  territories: Record<string, { name: string; note: string }>; // Attribution rule source code -> text
+  speciesNotes: Record<string, string>; // Species code -> conservation status note
+}
+
+// Language picker entries, in their own language
+export const LOCALES: [Locale, string][] = [['en', 'English'], ['ja', '日本語'], ['no', 'Norsk'], ['is', 'Íslenska']];
+
+const MESSAGES: Record<Locale, Messages> = { en, ja, no, is };
+
+// BCP 47 tags for Intl and <html lang> (Norwegian is written Bokmål)
+const LANGUAGE_TAGS: Record<Locale, string> = { en: 'en', ja: 'ja', no: 'nb', is: 'is' };
+
+const STORAGE_KEY = 'stillwhaling-locale';
+
+// Remember the choice and set <html lang> (only for the standalone page, not inside someone else's page)
+export function applyPageLocale(locale: Locale) {
+  document.documentElement.lang = LANGUAGE_TAGS[locale];
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Storage disabled (e.g. private mode) - the URL still carries the choice
+  }
+}
+
+const isLocale = (value: string | null): value is Locale => LOCALES.some(([code]) => code === value);
+
+// Locale from ?lang=, then the last choice on this device, then the browser languages
+export function detectLocale(search: string): Locale {
+  const fromUrl = new URLSearchParams(search).get('lang');
+  if (isLocale(fromUrl)) return fromUrl;
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (isLocale(stored)) return stored;
+  } catch {
+    // Storage disabled
+  }
+  for (const language of navigator.languages || [navigator.language]) {
+    const base = language.toLowerCase().split('-')[0];
+    // Bokmål and Nynorsk readers both get the Norwegian strings
+    const match = base === 'nb' || base === 'nn' ? 'no' : base;
+    if (isLocale(match)) return match;
+  }
+  return 'en';
+}
+
+export interface Translator {
+  locale: Locale;
+  /** Translated UI string; {name} placeholders are replaced from params */
+  t(key: string, params?: Record<string, string | number>): string;
+  formatNumber(value: number): string;
+  /** Short number for axis and legend ticks, e.g. "12K" / "1.2万" */
+  formatCompact(value: number): string;
+  /** Percentage of 0-100 with fixed decimals, e.g. "12.5%" / "12,5 %" */
+  formatPercent(value: number, digits?: number): string;
+  /** Year as written in the locale, e.g. "1986" / "1986年" */
+  formatYear(year: number): string;
+  /** Calendar date (ISO yyyy-mm-dd) as written in the locale, e.g. "Oct 19, 2026" / "2026/10/19" */
+  formatDate(isoDate: string): string;
+  /** Species common name: the locale's, else the scientific name, else the data's English name (English always uses the data's) */
+  speciesName(code: string, englishNames: Record<string, string>, scientificNames?: Record<string, string>): string;
+  /** Nation name (IWC names in the data are English) */
+  nationName(name: string): string;
+  /** Whaling type name, falling back to the data's English name */
+  typeName(code: string, englishNames?: Record<string, string>): string;
+  /** Timeline event title and description, falling back to the data's English text */
+  annotationText(annotation: { id: string; title: string; description: string }): { title: string; description: string };
+  /** Map attribution rule name and note, falling back to the data's English text */
+  ruleText(rule: { source: string; name: string; note: string }): { name: string; note: string };
+  /** Species status note, falling back to the data's English note */
+  speciesNote(code: string, englishNote: string): string;
+}
+
+// Strings and formatters for one locale. Each widget keeps its own, so widgets in
+// different languages can share a page.
+export function createTranslator(locale: Locale): Translator {
+  const messages = MESSAGES[locale];
+  const tag = LANGUAGE_TAGS[locale];
+  const numberFormat = new Intl.NumberFormat(tag);
+  const compactFormat = new Intl.NumberFormat(tag, { notation: 'compact', maximumFractionDigits: 1 });
+  const yearFormat = new Intl.DateTimeFormat(tag, { year: 'numeric', timeZone: 'UTC' });
+  const dateFormat = new Intl.DateTimeFormat(tag, { dateStyle: 'medium', timeZone: 'UTC' });
+
+  return {
+    locale,
+    t: (key, params = {}) => {
+      const template = messages.ui[key] ?? MESSAGES.en.ui[key] ?? key;
+      return template.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+    },
+    formatNumber: value => numberFormat.format(value),
+    formatCompact: value => compactFormat.format(value),
+    formatPercent: (value, digits = 1) => new Intl.NumberFormat(tag, {
+      style: 'percent',
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(value / 100),
+    formatYear: year => yearFormat.format(Date.UTC(year, 6, 1)),
+    formatDate: isoDate => dateFormat.format(new Date(`${isoDate}T00:00:00Z`)),
+    speciesName: (code, englishNames, scientificNames = {}) => {
+      if (locale === 'en') return englishNames[code] || code;
+      return messages.species[code] || scientificNames[code] || englishNames[code] || code;
+    },
+    nationName: name => messages.nations[name] || name,
+    typeName: (code, englishNames = {}) => messages.types[code] || englishNames[code] || code,
+    annotationText: annotation => messages.annotations[annotation.id] || annotation,
+    ruleText: rule => messages.territories[rule.source] || rule,
+    speciesNote: (code, englishNote) => messages.speciesNotes[code] || englishNote,
+  };
+}
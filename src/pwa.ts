@@ -0,0 +1,47 @@
+// Offline support: registers the service worker (public/sw.js) and prompts for a refresh
+// when it has downloaded a newer data file or a new build of the app has taken over.
+import { createTranslator, detectLocale } from './i18n';
+
+// `app`: the mounted app element, which shows the prompt (and provides its theme colors)
+export function registerServiceWorker(app: HTMLElement) {
+  // Dev server files change on every edit - nothing to cache there
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  const hadController = !!navigator.serviceWorker.controller;
+
+  navigator.serviceWorker.addEventListener('message', (event: MessageEvent) => {
+    if (event.data?.type === 'stillwhaling:dataUpdated') showUpdatePrompt(app, 'update.data');
+  });
+  // The worker activates right away; on a first visit it just starts controlling the page
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (hadController) showUpdatePrompt(app, 'update.app');
+  });
+
+  const registration = navigator.serviceWorker.register('/sw.js').catch(error => {
+    console.warn('⚠️  Service worker registration failed:', error);
+    return null;
+  });
+
+  // Pages left open for hours (classrooms, kiosks): look for a new build and data when shown again
+  document.addEventListener('visibilitychange', async () => {
+    if (document.visibilityState !== 'visible') return;
+    (await registration)?.update().catch(() => {}); // Offline
+    navigator.serviceWorker.controller?.postMessage({ type: 'stillwhaling:checkData' });
+  });
+}
+
+// Bottom banner with Refresh / dismiss (replaces a previous one), in the page's current language
+function showUpdatePrompt(app: HTMLElement, messageKey: string) {
+  const { t } = createTranslator(detectLocale(window.location.search));
+  app.querySelector('.update-prompt')?.remove();
+  const prompt = document.createElement('div');
+  prompt.className = 'update-prompt';
+  prompt.setAttribute('role', 'status');
+  prompt.innerHTML = `
+    <span>${t(messageKey)}</span>
+    <button class="update-refresh">${t('update.refresh')}</button>
+    <button class="update-dismiss" title="${t('update.dismiss')}">×</button>
+  `;
+  prompt.querySelector('.update-refresh')!.addEventListener('click', () => window.location.reload());
+  prompt.querySelector('.update-dismiss')!.addEventListener('click', () => prompt.remove());
+  app.appendChild(prompt);
+}
@@ -0,0 +1,76 @@
+// Resolves which reported catches a map feature shows, following the attribution
+// rules from data/territories.json (embedded in the data as metadata.attribution).
+import { AttributionRule } from './types';
+
+// A data code whose catches (scaled by share) are drawn on a map feature
+export interface CatchSource {
+  code: string;
+  share: number;
+}
+
+export interface Attribution {
+  /** Data codes (with shares) painted on a map feature in a year */
+  sources(mapCode: string, year: number): CatchSource[];
+  /** Map codes highlighted together with a feature in a year (e.g. Denmark + Greenland) */
+  unit(mapCode: string, year: number): string[];
+  /** Rules affecting a feature; limited to those active in `year` when given */
+  rules(mapCode: string, year?: number): AttributionRule[];
+  /** Every data code a feature draws from in any year */
+  allSourceCodes(mapCode: string): string[];
+}
+
+// Helper: Whether a rule applies in a year
+function isActive(rule: AttributionRule, year: number): boolean {
+  return (rule.from === undefined || year >= rule.from) && (rule.until === undefined || year <= rule.until);
+}
+
+export function createAttribution(rules: AttributionRule[]): Attribution {
+  const rulesByMember = new Map<string, AttributionRule[]>();
+  rules.forEach(rule => {
+    new Set([...rule.members, rule.source]).forEach(code => {
+      rulesByMember.set(code, [...(rulesByMember.get(code) || []), rule]);
+    });
+  });
+
+  const rulesFor = (mapCode: string, year?: number) =>
+    (rulesByMember.get(mapCode) || []).filter(rule => year === undefined || isActive(rule, year));
+
+  function sources(mapCode: string, year: number): CatchSource[] {
+    const shares = new Map<string, number>([[mapCode, 1]]);
+    rulesFor(mapCode, year).forEach(rule => {
+      if (rule.mode === 'group') {
+        [rule.source, ...rule.members].forEach(code => shares.set(code, 1));
+      } else if (rule.mode === 'inherit') {
+        if (mapCode !== rule.source) shares.set(rule.source, 1);
+      } else if (rule.mode === 'split' && rule.members.includes(mapCode)) {
+        // A source that is itself a member keeps only its own share
+        shares.set(rule.source, rule.shares?.[mapCode] ?? 0);
+      }
+    });
+    return Array.from(shares, ([code, share]) => ({ code, share })).filter(source => source.share > 0);
+  }
+
+  function unit(mapCode: string, year: number): string[] {
+    const codes = new Set([mapCode]);
+    rulesFor(mapCode, year).forEach(rule => {
+      if (rule.mode === 'group') {
+        rule.members.forEach(code => codes.add(code));
+      } else if (rule.mode === 'inherit') {
+        // Hovering the source or a territory highlights both
+        [rule.source, ...rule.members].forEach(code => codes.add(code));
+      }
+    });
+    return Array.from(codes);
+  }
+
+  function allSourceCodes(mapCode: string): string[] {
+    const codes = new Set([mapCode]);
+    rulesFor(mapCode).forEach(rule => {
+      codes.add(rule.source);
+      if (rule.mode === 'group') rule.members.forEach(code => codes.add(code));
+    });
+    return Array.from(codes);
+  }
+
+  return { sources, unit, rules: rulesFor, allSourceCodes };
+}
@@ -1,13 +1,23 @@
 export interface WhalingData {
   metadata: {
+    schemaVersion: number; // See DATA_SCHEMA_VERSION in validate.ts
     source: string;
     url: string;
     years: number[];
     countries: string[];
     species: Record<string, string>;
+    speciesScientific?: Record<string, string>; // Species code -> scientific name (fallback for untranslated names)
+    speciesStatus?: Record<string, SpeciesStatus>; // From data/species_status.json
+    annotations?: TimelineAnnotation[]; // From data/annotations.json
+    changelog?: DataChangelog; // Changes since the previous pipeline run
+    types?: Record<string, string>; // Whaling type code -> display name
+    areas?: Record<string, CatchArea>; // Catch area code -> name and map position
+    attribution: AttributionRule[]; // From data/territories.json
   };
   timeline: TimelineEntry[];
+  timelineByType?: Record<string, TimelineEntry[]>; // Same shape as timeline, per whaling type
   byCountryYear: CountryYearEntry[];
+  byAreaYear?: AreaYearEntry[];
 }
 
 export interface TimelineEntry {
@@ -16,10 +26,72 @@ export interface TimelineEntry {
   [speciesCode: string]: number;
 }
 
-export interface CountryYearEntry {
-  year: number;
-  country: string;
-  code: string;
+export interface CatchBreakdown {
   total: number;
   species: Record<string, number>;
 }
+
+export interface CountryYearEntry extends CatchBreakdown {
+  year: number;
+  country: string;
+  code: string; // ISO alpha-3, '' for nations without one (not drawn on the map)
+  types?: Record<string, CatchBreakdown>; // Whaling type code -> catches of that type
+}
+
+export interface CatchArea {
+  name: string;
+  lon: number;
+  lat: number;
+}
+
+export interface AreaYearEntry extends CatchBreakdown {
+  year: number;
+  area: string;
+  types?: Record<string, CatchBreakdown>;
+}
+
+// How catches reported under one code are drawn on the map (see data/territories.json)
+export interface AttributionRule {
+  source: string; // Data code the catches are reported under, e.g. 'DNK' or 'SUN' (USSR)
+  name: string;
+  mode: 'group' | 'inherit' | 'split';
+  members: string[]; // Map (ISO alpha-3) codes the rule covers
+  shares?: Record<string, number>; // 'split' only: member -> fraction of the source's catches
+  from?: number; // First/last year the rule applies (historical states)
+  until?: number;
+  note: string; // Shown in the tooltip and country panel
+}
+
+export type IucnStatus = 'CR' | 'EN' | 'VU' | 'NT' | 'LC' | 'DD';
+
+// Conservation context for a species (see data/species_status.json)
+export interface SpeciesStatus {
+  status: IucnStatus | null; // IUCN Red List category; null where it differs between populations
+  assessed: number; // Year of the assessment
+  population: { year: number; estimate: number }[]; // Rounded global estimates, oldest first
+  note: string;
+}
+
+// Historical event marked on the timeline (see data/annotations.json)
+export interface TimelineAnnotation {
+  id: string; // Key of its translations in the locale files
+  year: number;
+  until?: number; // Last year, for a period
+  title: string; // English
+  description: string;
+  link?: string;
+  species?: string[]; // Only shown while one of these species is selected
+  countries?: string[]; // Only shown while one of these countries is pinned or compared
+}
+
+// What changed since the previous data file (the full per-record list is in whaling_data.changelog.json)
+export interface DataChangelog {
+  date: string; // ISO date of the pipeline run that changed the data
+  previousHash: string | null; // Content hash of the previous data file; null on the first run
+  recordsAdded: number; // Country-year records
+  recordsRemoved: number;
+  recordsRevised: number;
+  yearsAdded: number[];
+  yearsRemoved: number[];
+  countries: { country: string; code: string; records: number; delta: number; species: Record<string, number>; types?: Record<string, number> }[]; // Biggest net change first
+}
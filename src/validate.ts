@@ -0,0 +1,321 @@
+// Runtime validation of whaling_data.json against the shapes in types.ts.
+// Collects every problem (up to a limit) so a bad data build can be fixed in one go.
+import { WhalingData } from './types';
+import { NUMERIC_TO_ISO } from './countryCodes';
+
+// Must match SCHEMA_VERSION in data/process_data.py
+export const DATA_SCHEMA_VERSION = 2;
+
+const IUCN_STATUSES = ['CR', 'EN', 'VU', 'NT', 'LC', 'DD'];
+
+// Stop collecting after this many issues (a systematic error would repeat for every record)
+const MAX_ISSUES = 200;
+
+export class DataValidationError extends Error {
+  issues: string[];
+  truncated: boolean;
+
+  constructor(issues: string[], truncated: boolean) {
+    super(`Invalid data file: ${issues.length}${truncated ? '+' : ''} problem${issues.length === 1 ? '' : 's'} found`);
+    this.name = 'DataValidationError';
+    this.issues = issues;
+    this.truncated = truncated;
+  }
+}
+
+type Json = Record<string, any>;
+
+const isObject = (value: unknown): value is Json =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+const isCount = (value: unknown): value is number =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const describe = (value: unknown) => value === undefined ? 'missing' : JSON.stringify(value);
+
+// Throws DataValidationError listing every offending field; returns the data typed otherwise
+export function validateData(raw: unknown): WhalingData {
+  const issues: string[] = [];
+  const report = (message: string) => {
+    if (issues.length < MAX_ISSUES) issues.push(message);
+  };
+  const fail = () => new DataValidationError(issues, issues.length >= MAX_ISSUES);
+
+  if (!isObject(raw)) {
+    report(`Expected a JSON object, got ${describe(raw)}`);
+    throw fail();
+  }
+
+  // Metadata (everything else is checked against it)
+  const metadata = raw.metadata;
+  if (!isObject(metadata)) {
+    report('metadata: missing');
+    throw fail();
+  }
+  if (metadata.schemaVersion === undefined) {
+    report(`metadata.schemaVersion: missing - the file predates versioned data, regenerate it with data/process_data.py`);
+  } else if (metadata.schemaVersion !== DATA_SCHEMA_VERSION) {
+    report(`metadata.schemaVersion: file is v${describe(metadata.schemaVersion)}, this app reads v${DATA_SCHEMA_VERSION}`);
+    throw fail(); // Nothing below can be trusted for another version
+  }
+  ['source', 'url'].forEach(key => {
+    if (typeof metadata[key] !== 'string') report(`metadata.${key}: expected a string, got ${describe(metadata[key])}`);
+  });
+  if (!Array.isArray(metadata.countries)) {
+    report(`metadata.countries: expected an array, got ${describe(metadata.countries)}`);
+  }
+  const years: unknown[] = Array.isArray(metadata.years) ? metadata.years : [];
+  if (!Array.isArray(metadata.years) || years.length === 0) {
+    report(`metadata.years: expected a non-empty array, got ${describe(metadata.years)}`);
+  }
+  years.forEach((year, i) => {
+    if (!Number.isInteger(year)) report(`metadata.years[${i}]: expected a whole year, got ${describe(year)}`);
+  });
+  const yearSet = new Set(years);
+  const checkNames = (key: string, required: boolean) => {
+    const names = metadata[key];
+    if (names === undefined && !required) return new Set<string>();
+    if (!isObject(names)) {
+      report(`metadata.${key}: expected an object of code -> name, got ${describe(names)}`);
+      return new Set<string>();
+    }
+    Object.entries(names).forEach(([code, name]) => {
+      if (typeof name !== 'string') report(`metadata.${key}.${code}: expected a name, got ${describe(name)}`);
+    });
+    return new Set(Object.keys(names));
+  };
+  const speciesCodes = checkNames('species', true);
+  const typeCodes = checkNames('types', false);
+  checkNames('speciesScientific', false);
+  if (metadata.speciesStatus !== undefined) {
+    if (!isObject(metadata.speciesStatus)) {
+      report(`metadata.speciesStatus: expected an object, got ${describe(metadata.speciesStatus)}`);
+    } else {
+      Object.entries(metadata.speciesStatus).forEach(([code, entry]) => {
+        const where = `metadata.speciesStatus.${code}`;
+        if (!speciesCodes.has(code)) report(`${where}: species code is not in metadata.species`);
+        if (!isObject(entry)) {
+          report(`${where}: expected { status, assessed, population, note }, got ${describe(entry)}`);
+          return;
+        }
+        if (entry.status !== null && !IUCN_STATUSES.includes(entry.status)) report(`${where}: status ${describe(entry.status)} is not an IUCN category or null`);
+        if (!Number.isInteger(entry.assessed)) report(`${where}: assessed ${describe(entry.assessed)} is not a year`);
+        if (typeof entry.note !== 'string') report(`${where}: note ${describe(entry.note)} is not a string`);
+        if (!Array.isArray(entry.population) || entry.population.some((point: unknown) =>
+          !isObject(point) || !Number.isInteger(point.year) || !isCount(point.estimate))) {
+          report(`${where}: population ${describe(entry.population)} is not a list of { year, estimate }`);
+        }
+      });
+    }
+  }
+  if (metadata.annotations !== undefined) {
+    if (!Array.isArray(metadata.annotations)) {
+      report(`metadata.annotations: expected an array, got ${describe(metadata.annotations)}`);
+    } else {
+      metadata.annotations.forEach((annotation: unknown, i: number) => {
+        const where = `metadata.annotations[${i}]`;
+        if (!isObject(annotation)) {
+          report(`${where}: expected { id, year, title, description }, got ${describe(annotation)}`);
+          return;
+        }
+        if (typeof annotation.id !== 'string' || annotation.id === '') report(`${where}: id ${describe(annotation.id)} is not a string`);
+        if (!Number.isInteger(annotation.year)) report(`${where}: year ${describe(annotation.year)} is not a year`);
+        if (annotation.until !== undefined && !Number.isInteger(annotation.until)) report(`${where}: until ${describe(annotation.until)} is not a year`);
+        ['title', 'description'].forEach(key => {
+          if (typeof annotation[key] !== 'string') report(`${where}: ${key} ${describe(annotation[key])} is not a string`);
+        });
+        if (annotation.link !== undefined && typeof annotation.link !== 'string') report(`${where}: link ${describe(annotation.link)} is not a string`);
+        ['species', 'countries'].forEach(key => {
+          const codes = annotation[key];
+          if (codes !== undefined && (!Array.isArray(codes) || codes.some((code: unknown) => typeof code !== 'string'))) {
+            report(`${where}: ${key} ${describe(codes)} is not a list of codes`);
+          }
+        });
+        (Array.isArray(annotation.species) ? annotation.species : []).forEach((code: unknown) => {
+          if (typeof code === 'string' && !speciesCodes.has(code)) report(`${where}: species code "${code}" is not in metadata.species`);
+        });
+      });
+    }
+  }
+  if (metadata.changelog !== undefined) {
+    const changelog = metadata.changelog;
+    if (!isObject(changelog)) {
+      report(`metadata.changelog: expected an object, got ${describe(changelog)}`);
+    } else {
+      if (typeof changelog.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(changelog.date)) report(`metadata.changelog.date: ${describe(changelog.date)} is not a yyyy-mm-dd date`);
+      if (changelog.previousHash !== null && typeof changelog.previousHash !== 'string') report(`metadata.changelog.previousHash: ${describe(changelog.previousHash)} is not a hash or null`);
+      ['recordsAdded', 'recordsRemoved', 'recordsRevised'].forEach(key => {
+        if (!Number.isInteger(changelog[key]) || changelog[key] < 0) report(`metadata.changelog.${key}: ${describe(changelog[key])} is not a count`);
+      });
+      ['yearsAdded', 'yearsRemoved'].forEach(key => {
+        if (!Array.isArray(changelog[key]) || changelog[key].some((year: unknown) => !Number.isInteger(year))) report(`metadata.changelog.${key}: ${describe(changelog[key])} is not a list of years`);
+      });
+      if (!Array.isArray(changelog.countries)) {
+        report(`metadata.changelog.countries: expected an array, got ${describe(changelog.countries)}`);
+      } else {
+        changelog.countries.forEach((country: unknown, i: number) => {
+          if (!isObject(country) || typeof country.country !== 'string' || typeof country.delta !== 'number' || !isObject(country.species)
+            || (country.types !== undefined && !isObject(country.types))) {
+            report(`metadata.changelog.countries[${i}]: expected { country, code, records, delta, species, types }, got ${describe(country)}`);
+          }
+        });
+      }
+    }
+  }
+  const areaCodes = new Set<string>();
+  if (metadata.areas !== undefined) {
+    if (!isObject(metadata.areas)) {
+      report(`metadata.areas: expected an object, got ${describe(metadata.areas)}`);
+    } else {
+      Object.entries(metadata.areas).forEach(([code, area]) => {
+        areaCodes.add(code);
+        if (!isObject(area) || typeof area.name !== 'string' || typeof area.lon !== 'number' || typeof area.lat !== 'number') {
+          report(`metadata.areas.${code}: expected { name, lon, lat }, got ${describe(area)}`);
+        }
+      });
+    }
+  }
+  if (!Array.isArray(metadata.attribution)) {
+    report(`metadata.attribution: expected an array of rules, got ${describe(metadata.attribution)}`);
+  } else {
+    metadata.attribution.forEach((rule: unknown, i: number) => {
+      const where = `metadata.attribution[${i}]`;
+      if (!isObject(rule)) {
+        report(`${where}: expected an object, got ${describe(rule)}`);
+        return;
+      }
+      ['source', 'name', 'note'].forEach(key => {
+        if (typeof rule[key] !== 'string') report(`${where}: ${key} ${describe(rule[key])} is not a string`);
+      });
+      if (!['group', 'inherit', 'split'].includes(rule.mode)) report(`${where}: mode ${describe(rule.mode)} is not group, inherit or split`);
+      if (!Array.isArray(rule.members) || rule.members.some((code: unknown) => typeof code !== 'string')) {
+        report(`${where}: members ${describe(rule.members)} is not a list of codes`);
+      }
+      if (rule.mode === 'split' && (!isObject(rule.shares) || Object.values(rule.shares).some(share => !isCount(share)))) {
+        report(`${where}: shares ${describe(rule.shares)} is not an object of member -> fraction`);
+      }
+      ['from', 'until'].forEach(key => {
+        if (rule[key] !== undefined && !Number.isInteger(rule[key])) report(`${where}: ${key} ${describe(rule[key])} is not a year`);
+      });
+    });
+  }
+  if (issues.length > 0) throw fail();
+
+  // Record codes: map (ISO alpha-3) codes, codes drawn through an attribution rule (e.g. SUN),
+  // or '' for nations the pipeline couldn't map
+  const countryCodes = new Set(['', ...Object.values(NUMERIC_TO_ISO), ...metadata.attribution.map((rule: Json) => rule.source)]);
+
+  // Shared checks
+  const checkYear = (where: string, year: unknown) => {
+    if (!yearSet.has(year)) report(`${where}: year ${describe(year)} is not in metadata.years`);
+  };
+  const checkBreakdown = (where: string, entry: Json) => {
+    if (!isCount(entry.total)) report(`${where}: total ${describe(entry.total)} is not a non-negative number`);
+    if (!isObject(entry.species)) {
+      report(`${where}: species ${describe(entry.species)} is not an object`);
+      return;
+    }
+    Object.entries(entry.species).forEach(([code, count]) => {
+      if (!speciesCodes.has(code)) report(`${where}: species code "${code}" is not in metadata.species`);
+      else if (!isCount(count)) report(`${where}: species.${code} ${describe(count)} is not a non-negative number`);
+    });
+  };
+  const checkTypes = (where: string, types: unknown) => {
+    if (types === undefined) return;
+    if (!isObject(types)) {
+      report(`${where}: types ${describe(types)} is not an object`);
+      return;
+    }
+    Object.entries(types).forEach(([type, breakdown]) => {
+      if (!typeCodes.has(type)) report(`${where}: whaling type "${type}" is not in metadata.types`);
+      if (!isObject(breakdown)) report(`${where}: types.${type} ${describe(breakdown)} is not an object`);
+      else checkBreakdown(`${where} types.${type}`, breakdown);
+    });
+  };
+  const checkTimeline = (where: string, timeline: unknown) => {
+    if (!Array.isArray(timeline)) {
+      report(`${where}: expected an array, got ${describe(timeline)}`);
+      return;
+    }
+    timeline.forEach((entry, i) => {
+      if (!isObject(entry)) {
+        report(`${where}[${i}]: expected an object, got ${describe(entry)}`);
+        return;
+      }
+      checkYear(`${where}[${i}]`, entry.year);
+      if (!isCount(entry.total)) report(`${where}[${i}] (${entry.year}): total ${describe(entry.total)} is not a non-negative number`);
+      Object.entries(entry).forEach(([key, count]) => {
+        if (key === 'year' || key === 'total') return;
+        if (!speciesCodes.has(key)) report(`${where}[${i}] (${entry.year}): species code "${key}" is not in metadata.species`);
+        else if (!isCount(count)) report(`${where}[${i}] (${entry.year}): ${key} ${describe(count)} is not a non-negative number`);
+      });
+    });
+  };
+
+  // Timelines
+  checkTimeline('timeline', raw.timeline);
+  if (raw.timelineByType !== undefined) {
+    if (!isObject(raw.timelineByType)) {
+      report(`timelineByType: expected an object, got ${describe(raw.timelineByType)}`);
+    } else {
+      Object.entries(raw.timelineByType).forEach(([type, timeline]) => {
+        if (!typeCodes.has(type)) report(`timelineByType.${type}: whaling type is not in metadata.types`);
+        checkTimeline(`timelineByType.${type}`, timeline);
+      });
+    }
+  }
+
+  // Country records
+  const countryTotalsByYear = new Map<number, number>();
+  if (!Array.isArray(raw.byCountryYear)) {
+    report(`byCountryYear: expected an array, got ${describe(raw.byCountryYear)}`);
+  } else {
+    raw.byCountryYear.forEach((entry: unknown, i: number) => {
+      if (!isObject(entry)) {
+        report(`byCountryYear[${i}]: expected an object, got ${describe(entry)}`);
+        return;
+      }
+      const where = `byCountryYear[${i}] (${entry.country ?? '?'} ${entry.year ?? '?'})`;
+      checkYear(where, entry.year);
+      if (typeof entry.country !== 'string' || entry.country === '') report(`${where}: country ${describe(entry.country)} is not a name`);
+      if (typeof entry.code !== 'string') report(`${where}: code ${describe(entry.code)} is not a string`);
+      else if (!countryCodes.has(entry.code)) report(`${where}: code "${entry.code}" is not an ISO 3166 alpha-3 code or an attribution source`);
+      checkBreakdown(where, entry);
+      checkTypes(where, entry.types);
+      if (isCount(entry.total)) {
+        countryTotalsByYear.set(entry.year, (countryTotalsByYear.get(entry.year) || 0) + entry.total);
+      }
+    });
+  }
+
+  // Area records
+  if (raw.byAreaYear !== undefined) {
+    if (!Array.isArray(raw.byAreaYear)) {
+      report(`byAreaYear: expected an array, got ${describe(raw.byAreaYear)}`);
+    } else {
+      raw.byAreaYear.forEach((entry: unknown, i: number) => {
+        if (!isObject(entry)) {
+          report(`byAreaYear[${i}]: expected an object, got ${describe(entry)}`);
+          return;
+        }
+        const where = `byAreaYear[${i}] (${entry.area ?? '?'} ${entry.year ?? '?'})`;
+        checkYear(where, entry.year);
+        if (!areaCodes.has(entry.area)) report(`${where}: area ${describe(entry.area)} is not in metadata.areas`);
+        checkBreakdown(where, entry);
+        checkTypes(where, entry.types);
+      });
+    }
+  }
+
+  // Country records must add up to the global timeline
+  if (Array.isArray(raw.timeline) && Array.isArray(raw.byCountryYear)) {
+    raw.timeline.forEach((entry: Json) => {
+      if (!isObject(entry) || !isCount(entry.total)) return;
+      const countryTotal = countryTotalsByYear.get(entry.year) || 0;
+      if (countryTotal !== entry.total) {
+        report(`timeline (${entry.year}): total ${entry.total.toLocaleString()} but byCountryYear adds up to ${countryTotal.toLocaleString()}`);
+      }
+    });
+  }
+
+  if (issues.length > 0) throw fail();
+  return raw as WhalingData;
+}
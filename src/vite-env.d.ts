@@ -0,0 +1,6 @@
+/// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  /** World map resolution bundled from world-atlas: '110m' (default) or '50m' */
+  readonly VITE_MAP_RESOLUTION?: string;
+}
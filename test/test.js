@@ -137,8 +137,8 @@ async function runTests() {
             // Data already loaded, just verify page state
             await page.waitForTimeout(1000); // Give time for rendering
             const dataCheck = await page.evaluate(() => {
-              const statTotal = document.querySelector('#stat-total');
-              const statLabel = document.querySelector('#stat-label');
+              const statTotal = document.querySelector('.stat-total');
+              const statLabel = document.querySelector('.stat-label');
               return statTotal && statLabel && statTotal.textContent !== '0' && statTotal.textContent !== '';
             });
             
@@ -222,23 +222,27 @@ async function runTests() {
           errors.push(`Elements: ${error.message}`);
         }
 
-    // Test 5: World map loads (non-critical - external CDN)
+    // Test 5: World map loads (bundled asset, served from our own origin)
     console.log('5. Testing world map loads...');
     try {
-      const mapResponse = await page.waitForResponse(
-        response => response.url().includes('world-atlas') || response.url().includes('unpkg'),
-        { timeout: TIMEOUT }
-      );
-      if (mapResponse.ok()) {
-        console.log('   ✅ World map data loaded');
-        passed++;
-      } else {
-        console.log(`   ⚠️  Map request failed: ${mapResponse.status()} (external CDN, may be temporary)`);
-        // Don't fail the test - this is external
+      // The page has loaded by now, so look the request up instead of waiting for it. The URL is
+      // /assets/countries-110m-<hash>.json when built, /node_modules/world-atlas/countries-110m.json under the dev server.
+      const mapRequest = await page.evaluate(() => {
+        const entry = performance.getEntriesByType('resource')
+          .find(e => /\/countries-(110m|50m)[\w-]*\.json/.test(new URL(e.name).pathname));
+        return entry ? { url: entry.name, status: entry.responseStatus } : null;
+      });
+      if (!mapRequest) {
+        throw new Error('World map was never requested');
+      } else if (mapRequest.status && (mapRequest.status < 200 || mapRequest.status >= 300)) { // responseStatus: Chromium 109+
+        throw new Error(`Map request failed: ${mapRequest.status} (${mapRequest.url})`);
       }
+      console.log('   ✅ World map data loaded');
+      passed++;
     } catch (error) {
-      console.log(`   ⚠️  Map load failed: ${error.message} (external CDN, non-critical)`);
-      // Don't fail the test - external resource
+      console.log(`   ❌ Map load failed: ${error.message}`);
+      failed++;
+      errors.push(`World map: ${error.message}`);
     }
 
     // Test 6: Map coloring works
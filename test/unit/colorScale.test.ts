@@ -0,0 +1,21 @@
+// Map color scales (src/colorScale.ts): legend ticks.
+import { describe, it, expect } from 'vitest';
+import { createMapColorScale } from '../../src/colorScale';
+import { createTranslator } from '../../src/i18n';
+
+const { formatCompact } = createTranslator('en');
+
+const labels = (values: number[]) => createMapColorScale('linear', 'reds', values, formatCompact).legend.ticks.map(tick => tick.label);
+
+describe('createMapColorScale', () => {
+  it('puts linear ticks on round values up to the maximum', () => {
+    const { ticks } = createMapColorScale('linear', 'reds', [120, 4000], formatCompact).legend;
+    expect(ticks.map(tick => tick.label)).toEqual(['0', '1K', '2K', '3K', '4K']);
+    expect(ticks.map(tick => tick.offset)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+  });
+
+  it('labels small linear maxima with whole counts only once each', () => {
+    expect(labels([1])).toEqual(['0', '1']);
+    expect(labels([1, 3])).toEqual(['0', '1', '2', '3']);
+  });
+});
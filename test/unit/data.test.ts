@@ -0,0 +1,128 @@
+// Territory attribution and filtering in the data index (src/data.ts).
+// The fixture uses the real rules from data/territories.json plus a split rule (none exist yet);
+// when the pipeline output is present it is checked against the raw records too.
+import { describe, it, expect } from 'vitest';
+import { existsSync, readFileSync } from 'node:fs';
+import territories from '../../data/territories.json';
+import { createDataIndex, CatchFilter } from '../../src/data';
+import { AttributionRule, CountryYearEntry, WhalingData } from '../../src/types';
+
+const ALL: CatchFilter = { species: [], types: [] };
+const DATA_PATH = new URL('../../public/data/whaling_data.json', import.meta.url);
+
+const SPLIT_RULE: AttributionRule = {
+  source: 'XSP',
+  name: 'Split test',
+  mode: 'split',
+  members: ['AAA', 'BBB'],
+  shares: { AAA: 0.75, BBB: 0.25 },
+  note: '',
+};
+
+function entry(year: number, country: string, code: string, types: Record<string, Record<string, number>>): CountryYearEntry {
+  const total = (species: Record<string, number>) => Object.values(species).reduce((sum, count) => sum + count, 0);
+  const species: Record<string, number> = {};
+  Object.values(types).forEach(counts => Object.entries(counts).forEach(([code, count]) => {
+    species[code] = (species[code] || 0) + count;
+  }));
+  return {
+    year, country, code, total: total(species), species,
+    types: Object.fromEntries(Object.entries(types).map(([type, counts]) => [type, { total: total(counts), species: counts }])),
+  };
+}
+
+function fixture(): WhalingData {
+  const years = [1990, 1991, 1992];
+  return {
+    metadata: {
+      schemaVersion: 1, source: '', url: '', years, countries: [],
+      species: { Fin: 'Fin', 'Mi:C': 'Minke', Spm: 'Sperm', Gray: 'Gray' },
+      types: { commercial: 'Commercial', aboriginal: 'Aboriginal Subsistence' },
+      attribution: [...(territories.attribution as AttributionRule[]), SPLIT_RULE],
+    },
+    timeline: years.map(year => ({ year, total: 0 })),
+    byCountryYear: [
+      entry(1990, 'Denmark', 'DNK', { commercial: { Fin: 6 }, aboriginal: { Fin: 4, 'Mi:C': 5 } }),
+      entry(1990, 'USSR', 'SUN', { commercial: { Spm: 100 } }),
+      entry(1991, 'USSR', 'SUN', { commercial: { Spm: 50 } }),
+      entry(1991, 'Split test', 'XSP', { commercial: { Fin: 40 }, aboriginal: { Fin: 8 } }),
+      entry(1992, 'Russia', 'RUS', { aboriginal: { Gray: 20 } }),
+    ],
+  };
+}
+
+describe('mapCatches', () => {
+  const index = createDataIndex(fixture());
+
+  it('paints every member of a group with the combined catches', () => {
+    ['DNK', 'GRL', 'FRO'].forEach(code => {
+      expect(index.mapCatches(code, 1990, ALL)).toEqual({ total: 15, species: { Fin: 10, 'Mi:C': 5 } });
+    });
+  });
+
+  it('applies a group only in the years it existed', () => {
+    expect(index.mapCatches('UKR', 1991, ALL).total).toBe(50);
+    expect(index.mapCatches('UKR', 1992, ALL).total).toBe(0);
+    expect(index.mapCatches('RUS', 1992, ALL).total).toBe(20);
+  });
+
+  it('gives each member of a split its share', () => {
+    expect(index.mapCatches('AAA', 1991, ALL)).toEqual({ total: 36, species: { Fin: 36 } });
+    expect(index.mapCatches('BBB', 1991, ALL)).toEqual({ total: 12, species: { Fin: 12 } });
+  });
+
+  it('filters by whaling type and species', () => {
+    expect(index.mapCatches('GRL', 1990, { species: [], types: ['aboriginal'] }).total).toBe(9);
+    expect(index.mapCatches('GRL', 1990, { species: ['Fin'], types: ['aboriginal'] }).total).toBe(4);
+    expect(index.mapCatches('AAA', 1991, { species: [], types: ['commercial'] }).total).toBe(30);
+  });
+});
+
+describe('countryHistory', () => {
+  const index = createDataIndex(fixture());
+
+  it('lists the mapped catches for every year', () => {
+    expect(index.countryHistory('UKR', ALL).map(({ year, total }) => ({ year, total }))).toEqual([
+      { year: 1990, total: 100 },
+      { year: 1991, total: 50 },
+      { year: 1992, total: 0 },
+    ]);
+    expect(index.countryHistory('RUS', { species: [], types: ['aboriginal'] }).map(year => year.total)).toEqual([0, 0, 20]);
+  });
+
+  it('shares the result between equal selections', () => {
+    const filter = { species: ['Fin', 'Spm'], types: [] };
+    expect(index.countryHistory('FRO', filter)).toBe(index.countryHistory('FRO', { species: ['Spm', 'Fin'], types: [] }));
+  });
+});
+
+describe.skipIf(!existsSync(DATA_PATH))('pipeline output', () => {
+  const data: WhalingData = existsSync(DATA_PATH) ? JSON.parse(readFileSync(DATA_PATH, 'utf8')) : null;
+  const index = data && createDataIndex(data);
+  // Helper: Sum of the raw records for some codes in a year
+  const rawTotal = (codes: string[], year: number, type?: string) => data.byCountryYear
+    .filter(entry => entry.year === year && codes.includes(entry.code))
+    .reduce((sum, entry) => sum + (type ? entry.types?.[type]?.total || 0 : entry.total), 0);
+
+  it('draws Denmark, Greenland and the Faroe Islands as one unit', () => {
+    const history = index.countryHistory('GRL', ALL);
+    expect(history.map(year => year.total)).toEqual(index.years.map(year => rawTotal(['DNK', 'GRL', 'FRO'], year)));
+    expect(index.countryHistory('FRO', ALL).map(year => year.total)).toEqual(history.map(year => year.total));
+  });
+
+  it('draws USSR catches on its successor states until 1991', () => {
+    const ussr = territories.attribution.find(rule => rule.source === 'SUN')!;
+    [1985, 1991, 1992, 2000].forEach(year => {
+      const codes = year <= ussr.until! ? [ussr.source, ...ussr.members] : ['UKR'];
+      expect(index.mapCatches('UKR', year, ALL).total).toBe(rawTotal(codes, year));
+    });
+  });
+
+  it('filters by whaling type', () => {
+    Object.keys(data.metadata.types || {}).forEach(type => {
+      const filter = { species: [], types: [type] };
+      expect(index.countryHistory('NOR', filter).map(year => year.total))
+        .toEqual(index.years.map(year => rawTotal(['NOR'], year, type)));
+    });
+  });
+});
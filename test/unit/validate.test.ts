@@ -0,0 +1,86 @@
+// Data file validation (src/validate.ts): malformed files are rejected with every problem listed.
+import { describe, it, expect } from 'vitest';
+import { existsSync, readFileSync } from 'node:fs';
+import { validateData, DataValidationError, DATA_SCHEMA_VERSION } from '../../src/validate';
+
+const DATA_PATH = new URL('../../public/data/whaling_data.json', import.meta.url);
+
+function fixture() {
+  return {
+    metadata: {
+      schemaVersion: DATA_SCHEMA_VERSION,
+      source: 'IWC', url: 'https://iwc.int', countries: ['Norway', 'USSR'], years: [1990, 1991],
+      species: { Fin: 'Fin', 'Mi:C': 'Minke' },
+      types: { commercial: 'Commercial' },
+      attribution: [{ source: 'SUN', name: 'USSR', mode: 'group', members: ['RUS'], until: 1991, note: '' }],
+    },
+    timeline: [{ year: 1990, total: 12, Fin: 2, 'Mi:C': 10 }, { year: 1991, total: 5, 'Mi:C': 5 }],
+    byCountryYear: [
+      { year: 1990, country: 'Norway', code: 'NOR', total: 10, species: { 'Mi:C': 10 }, types: { commercial: { total: 10, species: { 'Mi:C': 10 } } } },
+      { year: 1990, country: 'USSR', code: 'SUN', total: 2, species: { Fin: 2 } },
+      { year: 1991, country: 'Norway', code: 'NOR', total: 5, species: { 'Mi:C': 5 } },
+    ],
+  };
+}
+
+// Helper: The issues reported for a file (fails the test if it is accepted)
+function issuesOf(raw: unknown): string[] {
+  try {
+    validateData(raw);
+  } catch (error) {
+    expect(error).toBeInstanceOf(DataValidationError);
+    return (error as DataValidationError).issues;
+  }
+  throw new Error('Expected the data to be rejected');
+}
+
+describe('validateData', () => {
+  it('accepts a well-formed file', () => {
+    const data = fixture();
+    expect(validateData(data)).toBe(data);
+  });
+
+  it.skipIf(!existsSync(DATA_PATH))('accepts the pipeline output', () => {
+    expect(() => validateData(JSON.parse(readFileSync(DATA_PATH, 'utf8')))).not.toThrow();
+  });
+
+  it('reports an unknown country code', () => {
+    const data = fixture();
+    data.byCountryYear[2].code = 'XYZ';
+    expect(issuesOf(data)).toEqual([
+      'byCountryYear[2] (Norway 1991): code "XYZ" is not an ISO 3166 alpha-3 code or an attribution source',
+    ]);
+  });
+
+  it('stops at a schema version mismatch', () => {
+    const data = fixture();
+    data.metadata.schemaVersion = DATA_SCHEMA_VERSION + 1;
+    data.byCountryYear[0].code = 'XYZ'; // Not reached
+    expect(issuesOf(data)).toEqual([
+      `metadata.schemaVersion: file is v${DATA_SCHEMA_VERSION + 1}, this app reads v${DATA_SCHEMA_VERSION}`,
+    ]);
+  });
+
+  it('reports a missing schema version', () => {
+    const data = fixture();
+    delete data.metadata.schemaVersion;
+    expect(issuesOf(data)[0]).toMatch(/^metadata\.schemaVersion: missing/);
+  });
+
+  it('reports country records that do not add up to the timeline', () => {
+    const data = fixture();
+    data.timeline[1].total = 7;
+    expect(issuesOf(data)).toEqual(['timeline (1991): total 7 but byCountryYear adds up to 5']);
+  });
+
+  it('lists every problem in one go', () => {
+    const data = fixture();
+    data.byCountryYear[1].species = { Hbk: 2 } as Record<string, number>;
+    data.byCountryYear[2].year = 1989;
+    expect(issuesOf(data)).toEqual([
+      'byCountryYear[1] (USSR 1990): species code "Hbk" is not in metadata.species',
+      'byCountryYear[2] (Norway 1989): year 1989 is not in metadata.years',
+      'timeline (1991): total 5 but byCountryYear adds up to 0',
+    ]);
+  });
+});
@@ -1,4 +1,37 @@
-import { defineConfig } from 'vite';
+/// <reference types="vitest" />
+import { defineConfig, Plugin } from 'vite';
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+// Public files the worker caches under fixed names (SHELL in public/sw.js)
+const SW_SHELL = ['index.html', 'manifest.webmanifest', 'favicon.svg', 'icons/icon-maskable.svg'];
+
+// Fills in public/sw.js after a build: the hashed files to precache (the world map only
+// in the resolution the app was built with) and a build id that names the cache. The id
+// covers the shell files' contents too, so editing one of them also replaces the cache.
+function serviceWorkerPrecache(): Plugin {
+  return {
+    name: 'stillwhaling-sw-precache',
+    apply: 'build',
+    writeBundle(options, bundle) {
+      const resolution = process.env.VITE_MAP_RESOLUTION || '110m';
+      const files = Object.keys(bundle)
+        .filter(file => file !== 'index.html' && !file.endsWith('.map'))
+        .filter(file => !/countries-(50m|110m)/.test(file) || file.includes(`countries-${resolution}`))
+        .map(file => `/${file}`)
+        .sort();
+      const hash = createHash('sha256').update(files.join('\n'));
+      SW_SHELL.forEach(file => hash.update(readFileSync(join(options.dir!, file))));
+      const buildId = hash.digest('hex').slice(0, 12);
+      const swPath = join(options.dir!, 'sw.js');
+      const source = readFileSync(swPath, 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(files))
+        .replace('__BUILD_ID__', buildId);
+      writeFileSync(swPath, source);
+    },
+  };
+}
 
 export default defineConfig({
   server: {
@@ -14,5 +47,10 @@ export default defineConfig({
     assetsDir: 'assets',
     sourcemap: false
   },
-  publicDir: 'public'
+  plugins: [serviceWorkerPrecache()],
+  publicDir: 'public',
+  // Unit tests (npm test); the browser tests in test/*.js run against a server (see README)
+  test: {
+    include: ['test/unit/**/*.test.ts'],
+  }
 });